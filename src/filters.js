@@ -0,0 +1,123 @@
+// @flow
+
+// the built-in meta filters, shared by the plugin and
+// the test utils so simulated events match the same rules
+
+export const modifierProps = {
+    ctrl:       'ctrlKey',
+    shift:      'shiftKey',
+    alt:        'altKey',
+    meta:       'metaKey'
+};
+
+// browser cross-compatibility
+function fixMeta(value, fixes: Aliases = {}) {
+    if (Object.prototype.hasOwnProperty.call(fixes, value)) {
+        return String(fixes[value]).toLowerCase();
+    }
+    switch (value) {
+        case 'del':     return 'delete';
+        default:        return value;
+    }
+}
+
+export function asKey(value: string) {
+    switch (value) {
+        case 'space':   return ' ';
+        case 'plus':    return '+';
+        default:        return value;
+    }
+}
+
+export function asButton(value: string) {
+    switch (value) {
+        case 'left':    return '0';
+        case 'middle':  return '1';
+        case 'wheel':   return '1';
+        case 'right':   return '2';
+        default:        return value;
+    }
+}
+
+// "code-" values match the physical key (e.g. "code-keyz"
+// for the Z key regardless of keyboard layout); anything
+// else matches the character produced by the key
+
+export function keyFilter(e: any, value: string, config: FilterConfig) {
+    return value.indexOf('code-') === 0
+        ? value.slice(5) === String(e.code).toLowerCase()
+        : asKey(value) === fixMeta(String(e.key).toLowerCase(), config.fixes);
+}
+
+export function buttonFilter(e: any, value: string) {
+    return asButton(value) === String(e.button);
+}
+
+export const pointerTypes = ['mouse', 'pen', 'touch'];
+
+export function pointerFilter(e: any, value: string) {
+    return pointerTypes.includes(value) ? e.pointerType === value : buttonFilter(e, value);
+}
+
+export function wheelFilter(e: any, value: string) {
+    switch (value) {
+        case 'up':      return e.deltaY < 0;
+        case 'down':    return e.deltaY > 0;
+        case 'left':    return e.deltaX < 0;
+        case 'right':   return e.deltaX > 0;
+        default:        return false;
+    }
+}
+
+// meta filters decide whether an event matches the value
+// of a meta segment (e.g. "enter" in "keydown.enter");
+// applications can add or replace filters per event type
+// through the `filters` option
+
+export const metaFilters: Filters = {
+    keydown:        keyFilter,
+    keyup:          keyFilter,
+    keypress:       keyFilter,
+    mousedown:      buttonFilter,
+    mouseup:        buttonFilter,
+    click:          buttonFilter,
+    dblclick:       buttonFilter,
+    auxclick:       buttonFilter,
+    contextmenu:    buttonFilter,
+    pointerdown:    pointerFilter,
+    pointerup:      pointerFilter,
+    pointermove:    pointerFilter,
+    pointerover:    pointerFilter,
+    pointerout:     pointerFilter,
+    pointerenter:   pointerFilter,
+    pointerleave:   pointerFilter,
+    pointercancel:  pointerFilter,
+    wheel:          wheelFilter,
+    longpress:      gestureFilter,
+    tap:            gestureFilter,
+    doubletap:      gestureFilter,
+    swipe:          swipeFilter
+};
+
+export function gestureFilter(e: any, value: string) {
+    return e.detail.pointerType === value;
+}
+
+export function swipeFilter(e: any, value: string) {
+    return e.detail.direction === value || gestureFilter(e, value);
+}
+
+export function attributeFilter(e: any, value: string) {
+    return e.detail.records.some((record) => record.attributeName === value);
+}
+
+type Aliases = {
+    [name: string]: string|number
+}
+
+type FilterConfig = {
+    fixes: Aliases
+}
+
+type Filter = (e: any, value: string, config: FilterConfig) => boolean;
+type Filters = {[string]: Filter};
@@ -1,70 +1,870 @@
 // @flow
 
+import { modifierProps, metaFilters, attributeFilter } from './filters';
+
 const rxEventAndSelectors = /(^[^\s]+)\s*?(.*?)$/;
+const rxSequence = /^seq\((.*)\)$/;
+const rxScope = /^(window|document):(.*)$/;
 
-const metaEventMap = {
-    keydown:    'key',
-    keyup:      'key',
-    keypress:   'key',
-    mousedown:  'button',
-    mouseup:    'button'
-};
+const modifiers = Object.keys(modifierProps);
+
+const keyFlags = ['exact', 'capture', 'passive', 'once', 'self', 'prevent', 'stop',
+    'debounce', 'throttle', 'raf', 'deep', 'priority', 'repeat', 'norepeat',
+    'global', 'root', 'editable', 'outside', 'form', 'field'];
+
+const rateFlags = ['debounce', 'throttle', 'raf'];
+
+// events that do not bubble, so delegated
+// handlers must listen during the capture phase
+const nonBubbling = ['focus', 'blur'];
 
 const trim = (s) => s.trim();
 const trimLower = (s) => s.trim().toLowerCase();
+const flagName = (s) => s.split('-')[0];
+const isFlag = (s) => keyFlags.includes(flagName(s));
+const notFlag = (s) => !keyFlags.includes(flagName(s));
+const isSequence = (s) => rxSequence.test(s);
+const notSequence = (s) => !rxSequence.test(s);
+const isRateFlag = (s) => rateFlags.includes(flagName(s));
+const noop = () => {};
+const unique = (item, index, array) => array.indexOf(item) === index;
+
+function getFlagValue(flags: string[], name: string): number {
+    const flag = flags.find((s) => flagName(s) === name);
+    return flag ? Number(flag.slice(name.length + 1)) || 0 : 0;
+}
 
 function matches(selector) {
     return this.matches(selector);
 }
 
-function asMeta(value) {
-    switch (value) {
-        case 'space':   return ' ';
-        case 'left':    return '0';
-        case 'middle':  return '1';
-        case 'wheel':   return '1';
-        case 'right':   return '2';
-        default:        return value;
+function getAncestors(node: any): Node[] {
+    const path = [];
+    for (; node; node = node.parentNode) {
+        path.push(node);
     }
+    return path;
+}
+
+function inSameTree(node: any) {
+    const root: any = this;
+    return typeof node.getRootNode !== 'function' ||
+        typeof root.getRootNode !== 'function' ||
+        node.getRootNode() === root.getRootNode();
+}
+
+// the composed path (where supported) includes nodes
+// inside shadow roots that retargeting hides from
+// `e.target`; unless the key is marked `deep`, only
+// nodes in the same tree as the listener's element
+// are considered for delegation
+
+function getDelegatePath(e: Event, root: any, deep: boolean): any[] {
+    const path: any[] = typeof (e: any).composedPath === 'function'
+        ? (e: any).composedPath()
+        : getAncestors(e.target);
+    const index = path.indexOf(root);
+    return path
+        .slice(0, index < 0 ? path.length : index + 1)
+        .filter(deep ? Boolean : inSameTree, root);
+}
+
+// like closest(), returns the first element in the path
+// (from the event target up to and including the element
+// the listener was added to) that matches any of the
+// delegate selectors
+
+function closest(delegates: string[], path: any[]): ?Element {
+    return path.find((node) => node.nodeType === 1 && delegates.some(matches, node)) || null;
+}
+
+const hasAlias = (aliases, value) => Object.prototype.hasOwnProperty.call(aliases, value);
+
+function asMeta(value, aliases: Aliases = {}) {
+    return hasAlias(aliases, value) ? String(aliases[value]).toLowerCase() : value;
+}
+
+function isMac(win) {
+    return /Mac|iPhone|iPad|iPod/.test(win.navigator.platform);
 }
 
-// browser cross-compatibility
-function fixMeta(value) {
+function asModifier(value) {
+    const config: Config = (this: any);
     switch (value) {
-        case 'del':     return 'delete';
+        case 'control': return 'ctrl';
+        case 'option':  return 'alt';
+        case 'cmd':     return 'meta';
+        case 'command': return 'meta';
+        case 'mod':     return isMac(config.getWindow()) ? 'meta' : 'ctrl';
         default:        return value;
     }
 }
 
-function removeListener(handler) {
-    this.target.removeEventListener(this.type, handler);
+// parses a meta segment such as "ctrl+shift+s"
+// into the key (or button) value and the list
+// of modifier keys that must also be pressed
+
+function asCombo(segment: string): Combo {
+    const config: Config = (this: any);
+    const keys = segment.split('+');
+    const value = asMeta(keys.pop(), config.aliases);
+    const names = keys.map(asModifier, config);
+    names.forEach((name) => modifierProps[name] ||
+        throwError(`Unknown modifier key "${name}" in "${segment}".`));
+    return {value, modifiers: names};
+}
+
+function isPressed(name) {
+    return Boolean((this: any)[modifierProps[name]]);
+}
+
+// when exact, the modifier keys pressed must be
+// precisely the ones listed; otherwise, any
+// additional modifier keys are ignored
+
+function matchesModifiers(e: Event, names: string[], exact: boolean) {
+    return exact
+        ? modifiers.every((name) => isPressed.call(e, name) === names.includes(name))
+        : names.every(isPressed, e);
+}
+
+function matchesCombo(combo: Combo) {
+    return this.filter(this.e, combo.value, this.config) &&
+        matchesModifiers(this.e, combo.modifiers, this.exact);
+}
+
+// pressing a modifier key on its own (e.g. the shift
+// in "seq(g,shift+i)") must not break a sequence
+
+const modifierKeys = ['shift', 'control', 'alt', 'meta'];
+
+function asSequence(segment: string): Combo[] {
+    const steps = (rxSequence.exec(segment) || [])[1];
+    return steps.split(',').map(trim).map(asCombo, this);
+}
+
+// advances a sequence when the event matches its next
+// step; otherwise the sequence starts over, though the
+// event may itself be the first step of a new attempt
+
+function advanceSequence(sequence: Sequence): boolean {
+    const { e, now, config } = this;
+    if (modifierKeys.includes(String(e.key).toLowerCase())) {
+        return false;
+    }
+    if (now - sequence.time > config.sequenceTimeout) {
+        sequence.index = 0;
+    }
+    sequence.time = now;
+    if (matchesCombo.call(this, sequence.steps[sequence.index])) {
+        sequence.index++;
+    } else {
+        sequence.index = matchesCombo.call(this, sequence.steps[0]) ? 1 : 0;
+    }
+    if (sequence.index === sequence.steps.length) {
+        sequence.index = 0;
+        return true;
+    }
+    return false;
+}
+
+const editableElements = 'input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+function isEditable(node: any) {
+    return getAncestors(node).some((item: any) => item.nodeType === 1 && item.matches(editableElements));
+}
+
+function getOrigin(e: Event) {
+    return typeof (e: any).composedPath === 'function' ? (e: any).composedPath()[0] : e.target;
+}
+
+function isOutside(e: Event, target: Element) {
+    const path: any[] = typeof (e: any).composedPath === 'function'
+        ? (e: any).composedPath()
+        : getAncestors(e.target);
+    return !path.includes(target);
+}
+
+const formFields = ['INPUT', 'SELECT', 'TEXTAREA'];
+const buttonTypes = ['submit', 'reset', 'button', 'image'];
+
+function isField(node: any) {
+    return Boolean(node && node.name && !node.disabled &&
+        formFields.includes(node.nodeName) && !buttonTypes.includes(node.type));
+}
+
+// fields sharing a name (e.g. radio buttons or a list
+// of checkboxes) are treated as a single value
+
+function getFieldGroup(field: any): any[] {
+    return field.form
+        ? Array.from(field.form.elements).filter((item: any) => isField(item) && item.name === field.name)
+        : [field];
+}
+
+function getFieldValue(field: any, group: any[]) {
+    const checked = group.filter((item) => item.checked);
+    switch (field.type) {
+        case 'checkbox':
+            return group.length > 1 ? checked.map((item) => item.value) : field.checked;
+        case 'radio':
+            return checked.length ? checked[0].value : null;
+        case 'number':
+        case 'range':
+            return field.value === '' ? null : Number(field.value);
+        case 'select-multiple':
+            return Array.from(field.options)
+                .filter((option: any) => option.selected)
+                .map((option: any) => option.value);
+        case 'file':
+            return field.multiple ? Array.from(field.files) : field.files[0] || null;
+        default:
+            return field.value;
+    }
+}
+
+function getField(node: any): ?FormField {
+    return isField(node) ? {name: node.name, value: getFieldValue(node, getFieldGroup(node))} : null;
+}
+
+function getForm(node: any): ?HTMLFormElement {
+    return node && node.nodeName === 'FORM' ? node : node && node.form || null;
+}
+
+function serializeForm(form: HTMLFormElement, submitter: any): {[string]: any} {
+    const data = {};
+    Array.from(form.elements)
+        .filter(isField)
+        .filter((field: any) => !Object.prototype.hasOwnProperty.call(data, field.name))
+        .forEach((field: any) => data[field.name] = getFieldValue(field, getFieldGroup(field)));
+    if (submitter && submitter.name && submitter.form === form) {
+        data[submitter.name] = submitter.value;
+    }
+    return data;
+}
+
+const rejectAll = () => false;
+
+// scoped listeners (e.g. global shortcuts) are added
+// to their host rather than to the feature's target
+
+function addListener(listener: Listener) {
+    !listener.done && (listener.host || this.target)
+        .addEventListener(this.type, listener.handler, listener.options);
+}
+
+function removeListener(listener: Listener) {
+    (listener.host || this.target).removeEventListener(this.type, listener.handler, listener.options);
 }
 
 function removeListeners(handlers, type) {
     handlers.forEach(removeListener, {target: this, type});
 }
 
+function byPriority(a, b) {
+    return b.listener.priority - a.listener.priority || a.index - b.index;
+}
+
+// listeners run in the order they are added, so we
+// add higher priority listeners first; listeners with
+// the same priority keep the order they were applied
+
+function sortByPriority(handlers: Listener[]) {
+    handlers
+        .map((listener, index) => ({listener, index}))
+        .sort(byPriority)
+        .forEach((item, index) => handlers[index] = item.listener);
+}
+
+function disposeListener(listener: Listener) {
+    listener.limiter && listener.limiter.cancel();
+}
+
+function disposeListeners(handlers: Listener[]) {
+    handlers.forEach(disposeListener);
+}
+
+// only listeners after the first difference (by key
+// and position) between the previous and next lists
+// are removed and re-added; the rest stay attached
+
+// when the type is routed, only listeners with a host
+// are added; the rest run through the root's listeners
+
+function reconcileListeners(type: string) {
+    const { target, previous, next, routed } = this;
+    const attached = (listener) => !routed || Boolean(listener.host);
+    const before: Listener[] = (previous.get(type) || []).filter(attached);
+    const after: Listener[] = (next.get(type) || []).filter(attached);
+    let index = 0;
+    while (index < before.length && before[index] === after[index]) {
+        index++;
+    }
+    before.slice(index).forEach(removeListener, {target, type});
+    after.slice(index).forEach(addListener, {target, type});
+}
+
+function getRoutePath(e: Event, root: Node): any[] {
+    const path: any[] = typeof (e: any).composedPath === 'function'
+        ? (e: any).composedPath()
+        : getAncestors(e.target);
+    const index = path.indexOf(root);
+    return index < 0 ? [] : path.slice(0, index + 1);
+}
+
+// routed events are handled by a single listener on
+// the root, so we record calls to stop propagation in
+// order to emulate native propagation through the path
+
+function interceptPropagation(e: Event, state: RouteState) {
+    const { stopPropagation, stopImmediatePropagation } = (e: any);
+    (e: any).stopPropagation = function stop() {
+        state.stopped = true;
+        return stopPropagation.call(e);
+    };
+    (e: any).stopImmediatePropagation = function stopImmediate() {
+        state.stopped = state.immediate = true;
+        return stopImmediatePropagation.call(e);
+    };
+    return function restore() {
+        (e: any).stopPropagation = stopPropagation;
+        (e: any).stopImmediatePropagation = stopImmediatePropagation;
+    };
+}
+
+function parseKey(key: string, config: Config): ParsedKey {
+    const [ eventMeta: string, selectors: string = '' ] =
+        (rxEventAndSelectors.exec(key) || []).slice(1);
+    const delegates: string[] = selectors
+        .split(',')
+        .map(trim)
+        .filter(Boolean);
+    const scoped = rxScope.exec(eventMeta);
+    const scope: ?string = scoped ? scoped[1] : null;
+    const [name, ...segments] = (scoped ? scoped[2] : eventMeta)
+        .split('.')
+        .map(trim);
+    const event = name.toLowerCase();
+    // attribute names keep their case (e.g. "viewBox") and
+    // are never read as flags (e.g. an input's "form")
+    const attributes: boolean = event === config.prefix + 'attribute';
+    const meta: string[] = attributes ? [] : segments.map(trimLower);
+    const flags: string[] = meta.filter(isFlag);
+    const sequences: Combo[][] = meta
+        .filter(isSequence)
+        .map(asSequence, config);
+    const combos: Combo[] = attributes
+        ? segments.map((value) => ({value, modifiers: []}))
+        : meta
+            .filter(notFlag)
+            .filter(notSequence)
+            .map(asCombo, config);
+    if (event.startsWith(config.prefix) && delegates.length) {
+        throwError(`${config.prefix}* events must not be delegated`);
+    }
+    return {
+        key,
+        event,
+        scope,
+        delegates,
+        flags,
+        combos,
+        sequences,
+        options: {
+            capture: flags.includes('capture') ||
+                Boolean(delegates.length && nonBubbling.includes(event)),
+            passive: flags.includes('passive')
+        },
+        priority: getFlagValue(flags, 'priority')
+    };
+}
+
 function throwError(message) {
     throw new Error(message);
 }
 
-export default function AmaraPluginEvents(): AmaraEvents {
+// records the element whose handler stopped the
+// event, so dispatchers can report where an action
+// was intercepted
+
+function trackPropagation(e: Event, result: DispatchResult) {
+    ['stopPropagation', 'stopImmediatePropagation'].forEach((method) => {
+        const original = (e: any)[method];
+        (e: any)[method] = function stop() {
+            result.stoppedAt = result.stoppedAt || e.currentTarget;
+            return original.call(e);
+        };
+    });
+}
+
+// helpers added to bubbling action events so that
+// ancestors can modify the action before it reaches
+// Amara; they replace `detail` rather than mutate it
+
+function replaceAction(action: any) {
+    (this: any).detail = action;
+}
+
+function mergeMeta(meta: {}) {
+    const action = (this: any).detail;
+    (this: any).detail = Object.assign({}, action, {
+        meta: Object.assign({}, action.meta, meta)
+    });
+}
+
+function warn(message, ...details) {
+    console.warn(message, ...details);
+}
+
+function log(message, ...details) {
+    console.log(message, ...details);
+}
+
+// dev mode
+
+const lifecycleEvents = ['add', 'apply', 'remove', 'visible', 'hidden', 'resize', 'attribute', 'children'];
+
+// events without an "on" property on elements, the
+// document or the window in some browsers
+const otherEvents = ['focusin', 'focusout', 'copy', 'cut', 'paste', 'beforeinput',
+    'transitionend', 'animationstart', 'animationend', 'animationiteration',
+    'touchstart', 'touchmove', 'touchend', 'touchcancel', 'selectionchange', 'visibilitychange'];
+
+function getDistance(a: string, b: string): number {
+    let previous = Array.from({length: b.length + 1}, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function getKnownEvents(target: Element, config: Config): string[] {
+    const doc: any = target.ownerDocument;
+    const names = otherEvents.concat(gestureEvents, Object.keys(config.filters));
+    [target, doc, doc.defaultView].forEach((node) => {
+        for (const prop in node) {
+            prop.startsWith('on') && names.push(prop.slice(2));
+        }
+    });
+    return names.filter(unique);
+}
+
+// events that are not known DOM events may still be
+// action types, so we only warn about names that look
+// like a typo of a known event
+
+function findTypo(event: string, known: string[]): ?string {
+    const allowed = Math.max(1, Math.floor(event.length / 4));
+    return known.includes(event) ? null : known.find((name) => getDistance(event, name) <= allowed);
+}
+
+function isValidSelector(selector: string) {
+    try {
+        this.matches(selector);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function describeTarget(target: Element) {
+    return '<' + target.tagName.toLowerCase() +
+        (target.id ? '#' + target.id : '') +
+        (target.className ? '.' + String(target.className).trim().split(/\s+/).join('.') : '') + '>';
+}
+
+function validateKey(parsed: ParsedKey, source: KeySource, config: Config) {
+    const { key, event, scope, delegates, combos, sequences } = parsed;
+    const { target, map, index } = source;
+    const callback = map[key];
+    const problems = [];
+    const lifecycle = event.startsWith(config.prefix) ? event.slice(config.prefix.length) : null;
+    const typo = lifecycle === null && !scope ? findTypo(event, getKnownEvents(target, config)) : null;
+    lifecycle !== null && !lifecycleEvents.includes(lifecycle) &&
+        problems.push(`"${event}" is not a known lifecycle event.`);
+    typo && problems.push(`"${event}" is not a known event; did you mean "${typo}"?`);
+    delegates.filter((selector) => !isValidSelector.call(target, selector)).forEach((selector) =>
+        problems.push(`"${selector}" is not a valid selector.`));
+    !typo && (combos.length || sequences.length) && !config.filters[event] &&
+        problems.push(`"${event}" events do not support key, button or other meta values, so this handler will never run.`);
+    typeof callback !== 'function' && callback !== true &&
+        problems.push(`The handler must be a function (or true), but got ${typeof callback}.`);
+    problems.forEach((problem) => warn(
+        `Event key "${key}" in event map ${index + 1} applied to ${describeTarget(target)}: ${problem}`,
+        {target, map}));
+}
+
+// rate limiters belong to a listener, so pending
+// invocations survive re-application of the event
+// map and will call the listener's latest handler
+
+function createLimiter(flag: string, config: Config): Limiter {
+    const [kind, wait] = flag.split('-');
+    const delay = Number(wait) || 0;
+    let timer = null,
+        last = -Infinity,
+        args = null;
+    function flush() {
+        const pending = args;
+        timer = null;
+        args = null;
+        last = Date.now();
+        pending && limiter.invoke(pending.context, pending.e);
+    }
+    const limiter: Limiter = {
+        invoke: noop,
+        schedule(context: ?Node, e: Event) {
+            args = {context, e};
+            if (kind === 'debounce') {
+                clearTimeout(timer);
+                timer = setTimeout(flush, delay);
+            } else if (kind === 'raf') {
+                timer = timer || config.getWindow().requestAnimationFrame(flush);
+            } else if (!timer) {
+                const remaining = delay - (Date.now() - last);
+                remaining > 0 ? (timer = setTimeout(flush, remaining)) : flush();
+            }
+        },
+        cancel() {
+            kind === 'raf' ? config.getWindow().cancelAnimationFrame(timer) : clearTimeout(timer);
+            timer = null;
+            args = null;
+        }
+    };
+    return limiter;
+}
+
+const gestureEvents = ['longpress', 'swipe', 'tap', 'doubletap'];
+const pointerEvents = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'];
+
+const gestureDefaults: Gestures = {
+    longpressDelay: 500,
+    tapDuration: 300,
+    tapDistance: 10,
+    doubletapDelay: 300,
+    swipeDistance: 50,
+    swipeDuration: 500
+};
+
+function getDirection(dx: number, dy: number) {
+    return Math.abs(dx) > Math.abs(dy)
+        ? (dx < 0 ? 'left' : 'right')
+        : (dy < 0 ? 'up' : 'down');
+}
+
+// recognizes gestures from the pointer events that
+// reach a target and dispatches them as bubbling events
+// from the element the gesture started on, so they
+// can be handled (and delegated) like native events;
+// when gesture targets are nested, the innermost one
+// claims the pointerdown so each gesture fires once
+
+const claimedPointers: WeakSet<Event> = new WeakSet();
+
+function createRecognizer(target: Element, config: Config): Recognizer {
+    const thresholds = config.gestures;
+    let start = null,
+        timer = null,
+        lastTap = null;
+    function fire(type: string, e: any, extra: {}) {
+        const GestureEvent = config.getCustomEvent();
+        const origin = start ? start.origin : e.target;
+        origin.dispatchEvent(new GestureEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            detail: Object.assign({
+                pointerType: e.pointerType,
+                clientX: e.clientX,
+                clientY: e.clientY,
+                originalEvent: e
+            }, extra)
+        }));
+    }
+    function reset() {
+        clearTimeout(timer);
+        timer = null;
+        start = null;
+    }
+    function down(e: any) {
+        if (e.isPrimary === false || e.button > 0) {
+            return;
+        }
+        reset();
+        if (claimedPointers.has(e)) {
+            return;
+        }
+        claimedPointers.add(e);
+        start = {origin: getOrigin(e), x: e.clientX, y: e.clientY, time: Date.now(), moved: false, pressed: false};
+        timer = setTimeout(function longpress() {
+            timer = null;
+            if (start && !start.moved) {
+                start.pressed = true;
+                fire('longpress', e, {duration: Date.now() - start.time});
+            }
+        }, thresholds.longpressDelay);
+    }
+    function move(e: any) {
+        if (start && Math.hypot(e.clientX - start.x, e.clientY - start.y) > thresholds.tapDistance) {
+            start.moved = true;
+            clearTimeout(timer);
+        }
+    }
+    function up(e: any) {
+        const state = start;
+        if (!state || state.pressed) {
+            return reset();
+        }
+        const dx = e.clientX - state.x, dy = e.clientY - state.y;
+        const distance = Math.hypot(dx, dy), duration = Date.now() - state.time;
+        clearTimeout(timer);
+        if (distance >= thresholds.swipeDistance && duration <= thresholds.swipeDuration) {
+            fire('swipe', e, {dx, dy, duration, direction: getDirection(dx, dy)});
+        } else if (distance <= thresholds.tapDistance && duration <= thresholds.tapDuration) {
+            fire('tap', e, {duration});
+            if (lastTap && lastTap.origin === state.origin &&
+                state.time - lastTap.time <= thresholds.doubletapDelay) {
+                fire('doubletap', e, {duration: Date.now() - lastTap.time});
+                lastTap = null;
+            } else {
+                lastTap = {origin: state.origin, time: Date.now()};
+            }
+        }
+        reset();
+    }
+    const handlers = {
+        pointerdown: down,
+        pointermove: move,
+        pointerup: up,
+        pointercancel: reset
+    };
+    pointerEvents.forEach((type) => target.addEventListener(type, handlers[type]));
+    return {
+        dispose() {
+            reset();
+            lastTap = null;
+            pointerEvents.forEach((type) => target.removeEventListener(type, handlers[type]));
+        }
+    };
+}
+
+// a host that shares one capturing document listener per
+// event type between every "outside" handler, so handlers
+// still run when a component stops propagation
+
+function createOutsideHost(doc: Document): Host {
+    const handlers: Map<string, EventHandler[]> = new Map();
+    function run(e: Event) {
+        (handlers.get(e.type) || []).slice().forEach((handler) => handler.call(doc, e));
+    }
+    return {
+        addEventListener(type: string, handler: EventHandler) {
+            const existing = handlers.get(type) || [];
+            !existing.length && doc.addEventListener(type, run, true);
+            handlers.set(type, existing.concat(handler));
+        },
+        removeEventListener(type: string, handler: EventHandler) {
+            const remaining = (handlers.get(type) || []).filter((item) => item !== handler);
+            if (remaining.length) {
+                handlers.set(type, remaining);
+            } else if (handlers.delete(type)) {
+                doc.removeEventListener(type, run, true);
+            }
+        }
+    };
+}
+
+// the listeners every plugin instance has added for a
+// target, so they can be listed by inspect()
+
+const inspectable: WeakMap<Node, WrapperMap[]> = new WeakMap();
+
+function register(target: Node, previous: ?WrapperMap, next: ?WrapperMap) {
+    const maps = (inspectable.get(target) || []).filter((map) => map !== previous);
+    next && maps.push(next);
+    maps.length ? inspectable.set(target, maps) : inspectable.delete(target);
+}
+
+function describeListener(listener: Listener): InspectedEntry {
+    const { key, event, scope, delegates, flags, combos, sequences, options, priority } = listener.parsed;
+    const { map, index } = listener.source;
+    return {
+        key,
+        event,
+        scope,
+        delegates,
+        flags,
+        meta: combos,
+        sequences,
+        options,
+        priority,
+        handler: listener.callback,
+        source: {map, index},
+        done: listener.done
+    };
+}
+
+function inspect(target: Node): InspectedEntry[] {
+    return (inspectable.get(target) || [])
+        .reduce((listeners, map) => listeners.concat(...Array.from(map.values())), [])
+        .map(describeListener);
+}
+
+function createConfig(options: PluginOptions): Config {
+    const prefix = options.lifecyclePrefix || 'amara:';
+    const config: Config = {
+        routed: options.strategy === 'root',
+        prefix,
+        patchDisabled: options.patchDisabled !== false,
+        eventInit: Object.assign({
+            bubbles: true,
+            cancelable: true,
+            composed: true
+        }, options.eventInit),
+        aliases: options.aliases || {},
+        fixes: options.fixes || {},
+        filters: Object.assign({}, metaFilters, {[prefix + 'attribute']: attributeFilter}, options.filters),
+        sequenceTimeout: options.sequenceTimeout || 1000,
+        gestures: Object.assign({}, gestureDefaults, options.gestures),
+        intersection: Object.assign({threshold: 0, rootMargin: '0px'}, options.intersection),
+        rethrow: Boolean(options.rethrow),
+        dev: Boolean(options.dev),
+        debug: Boolean(options.debug),
+        // resolved lazily so the plugin can be created
+        // before a (non-global) DOM environment exists
+        getWindow: () => options.window || window,
+        getCustomEvent: () => options.CustomEvent || config.getWindow().CustomEvent
+    };
+    return config;
+}
+
+// parses an event key the same way the plugin does,
+// e.g. for tools that simulate the events a key handles
+
+function parse(key: string, options: PluginOptions = {}): ParsedKey {
+    return parseKey(key, createConfig(options));
+}
+
+export default function AmaraPluginEvents(options: PluginOptions = {}): AmaraEvents {
+
+    const config: Config = createConfig(options);
 
     return function createHandler(dispatch: Dispatch) {
 
         let root = null,
-            async = true;
+            async = true,
+            debugging = config.debug;
 
         const targetHandlers: WeakMap<Node, WrapperMap> = new WeakMap();
+        const removedTargets: WeakSet<Node> = new WeakSet();
+        const dispatchResults: WeakMap<Event, DispatchResult> = new WeakMap();
+        const routeStates: WeakMap<Event, RouteState> = new WeakMap();
+        const routedTypes: Set<string> = new Set();
+        const recognizers: WeakMap<Node, Recognizer> = new WeakMap();
+        const outsideHosts: WeakMap<Document, Host> = new WeakMap();
+        const observers: {[string]: any} = {};
+        const observed: {[string]: WeakSet<Node>} = {
+            IntersectionObserver: new WeakSet(),
+            ResizeObserver: new WeakSet()
+        };
+        const visibleTargets: WeakSet<Node> = new WeakSet();
+        const mutationObservers: WeakMap<Node, any> = new WeakMap();
+        const unsupported: Set<string> = new Set();
 
         function proxyToAmara(e) {
-            !e.type.startsWith('amara:') && dispatch(e.detail);
+            const result = dispatchResults.get(e);
+            if (result && result.stoppedAt && result.stoppedAt !== root) {
+                return; // stopped by a routed handler below the root
+            }
+            if (!e.type.startsWith(config.prefix)) {
+                result && (result.delivered = true);
+                dispatch(e.detail);
+            }
+        }
+
+        // lifecycle events are always dispatched directly
+        // on their targets, so they are never routed
+
+        function isRouted(type: string) {
+            return config.routed && !type.startsWith(config.prefix);
+        }
+
+        function addRouteListeners(type: string) {
+            root && root.addEventListener(type, routeCapture, true);
+            root && root.addEventListener(type, routeBubble);
+        }
+
+        function ensureRouted(type: string) {
+            if (!routedTypes.has(type)) {
+                routedTypes.add(type);
+                addRouteListeners(type);
+            }
+        }
+
+        function runRouted(node: any, e: Event, capture: boolean, state: RouteState) {
+            const mapEventHandlers = targetHandlers.get(node);
+            const arrHandlers = (mapEventHandlers && mapEventHandlers.get(e.type)) || [];
+            Object.defineProperty(e, 'currentTarget', {configurable: true, value: node});
+            arrHandlers
+                .filter((listener) => !listener.done && !listener.host &&
+                    Boolean(listener.options.capture) === capture)
+                .some((listener) => {
+                    listener.handler.call(node, e);
+                    return state.immediate;
+                });
+            return state.stopped;
+        }
+
+        function route(e: Event, capture: boolean, nodes: any[]) {
+            const state: RouteState = routeStates.get(e) || {stopped: false, immediate: false};
+            const restore = interceptPropagation(e, state);
+            routeStates.set(e, state);
+            try {
+                !state.stopped && nodes.some((node) => runRouted(node, e, capture, state));
+            } finally {
+                delete (e: any).currentTarget;
+                restore();
+            }
+        }
+
+        // non-bubbling events never reach the root during
+        // the bubble phase, so the capture listener also runs
+        // their non-capture handlers on the event target
+
+        function routeCapture(e: Event) {
+            const path = getRoutePath(e, (root: any));
+            route(e, true, path.slice().reverse());
+            !e.bubbles && route(e, false, path.slice(0, 1));
+        }
+
+        function routeBubble(e: Event) {
+            e.bubbles && route(e, false, getRoutePath(e, (root: any)));
         }
 
         function syncDispatch(dispatcher, action) {
+            const wasAsync = async;
             async = false;
-            dispatcher(action, {});
-            async = true;
+            try {
+                dispatcher(action, {});
+            } finally {
+                async = wasAsync;
+            }
+        }
+
+        // errors thrown by handlers are reported to Amara as
+        // actions instead of escaping into the code that fired
+        // the event, unless the rethrow option is set
+
+        function reportError(error: any, target: Element, key: string, e: Event) {
+            dispatch({type: 'events:error', payload: {error, target, key, event: e}});
+            if (config.rethrow) {
+                throw error;
+            }
         }
 
         // firefox and IE don't dispatch events from disabled
@@ -77,7 +877,7 @@ export default function AmaraPluginEvents(): AmaraEvents {
                 setAttribute: target.setAttribute,
                 removeAttribute: target.removeAttribute
             };
-            meta.disabled = target.hasAttribute('disabled');
+            meta.disabled = meta.wasDisabled = target.hasAttribute('disabled');
             target.removeAttribute('disabled');
             (target: any).setAttribute = (attr, value) => {
                 if (attr !== 'disabled') {
@@ -100,96 +900,443 @@ export default function AmaraPluginEvents(): AmaraEvents {
         }
 
         function getTargetDispatcher(target: Element) {
-            return function dispatchActionAsEvent(action: any, eventInitOptions: {[string]: any} = {
-                bubbles: true,
-                cancelable: true,
-                composed: true
-            }) {
+            return function dispatchActionAsEvent(action: any,
+                eventInitOptions: {[string]: any} = Object.assign({}, config.eventInit)) {
                 if (async) throwError('Event actions must be dispatched synchronously.');
                 eventInitOptions.detail = action;
                 const meta = {};
-                const ce = new window.CustomEvent(action.type, eventInitOptions);
+                const ActionEvent = config.getCustomEvent();
+                const ce = new ActionEvent(action.type, eventInitOptions);
+                const result: DispatchResult = {
+                    action,
+                    delivered: false,
+                    defaultPrevented: false,
+                    stoppedAt: null
+                };
+                // CustomEvent detail is read-only; we shadow it so
+                // ancestors can replace the action while it bubbles
+                Object.defineProperty(ce, 'detail', {value: action, writable: true});
+                (ce: any).replaceAction = replaceAction;
+                (ce: any).mergeMeta = mergeMeta;
+                trackPropagation(ce, result);
+                dispatchResults.set(ce, result);
                 root && root.addEventListener(action.type, proxyToAmara);
-                prePatchDisabledBug(target, meta);
-                let result = target.dispatchEvent(ce);
-                postPatchDisabledBug(target, meta);
+                const held = config.patchDisabled ? takeMutations(target) : [];
+                config.patchDisabled && prePatchDisabledBug(target, meta);
+                target.dispatchEvent(ce);
+                config.patchDisabled && postPatchDisabledBug(target, meta);
+                config.patchDisabled && restoreMutations(target, held, meta);
                 root && root.removeEventListener(action.type, proxyToAmara);
+                result.action = ce.detail;
+                result.defaultPrevented = ce.defaultPrevented;
                 return result;
             };
         }
 
-        function addHandlerForEvent(eventAndSelectors) {
-            let arrHandlers: void|EventHandler[],
-                mapEventHandlers: void|Map<string, EventHandler[]>;
-            const { map, target, dispatcher } = this;
-            const [ eventMeta: string, selectors: string = '' ] =
-                (rxEventAndSelectors.exec(eventAndSelectors) || []).slice(1);
-            const handler: EventHandler = map[eventAndSelectors];
-            const delegates: string[] = selectors
-                .split(',')
-                .map(trim)
-                .filter(Boolean);
-            const [event, ...meta] = eventMeta
-                .split('.')
-                .map(trimLower)
-                .map(asMeta);
-            function eventHandler(e: Event) {
-                const prop: string = metaEventMap[e.type];
-                let result, metaValue = fixMeta(String((e: any)[prop]).toLowerCase());
-                if (delegates.length && !delegates.some(matches, e.target)) {
-                    return;
+        // actions dispatched after the handler has returned
+        // still bubble from the original target; if that
+        // target has since been removed, there is nothing
+        // left to bubble through so we go straight to Amara
+
+        function getLaterDispatcher(target: Element, dispatcher: TargetDispatcher) {
+            return function dispatchActionLater(action: any, eventInitOptions?: {[string]: any}) {
+                if (removedTargets.has(target)) {
+                    warn(`The target for action "${action.type}" was removed ` +
+                        'before the action was dispatched; dispatching directly to Amara.');
+                    dispatch(action);
+                    return {
+                        action,
+                        delivered: true,
+                        defaultPrevented: false,
+                        stoppedAt: null
+                    };
                 }
-                if (meta.length && !meta.includes(String(metaValue).toLowerCase())) {
-                    return;
+                const wasAsync = async;
+                async = false;
+                try {
+                    return dispatcher(action, eventInitOptions);
+                } finally {
+                    async = wasAsync;
                 }
+            };
+        }
+
+        // handlers can be scoped to the window, the document
+        // or the bootstrap root, in which case they fire
+        // regardless of which element has focus
+
+        function getHost(parsed: ParsedKey, target: Element): ?Host {
+            const { flags, scope } = parsed;
+            const doc = target.ownerDocument;
+            if (scope === 'window') {
+                return doc.defaultView || config.getWindow();
+            }
+            if (scope === 'document') {
+                return doc;
+            }
+            if (flags.includes('outside')) {
+                outsideHosts.has(doc) || outsideHosts.set(doc, createOutsideHost(doc));
+                return outsideHosts.get(doc);
+            }
+            if (flags.includes('global')) {
+                return target.ownerDocument;
+            }
+            if (flags.includes('root')) {
+                return root || target.ownerDocument;
+            }
+            return null;
+        }
+
+        function createListener(parsed: ParsedKey, id: string, source: KeySource, dispatchers: Dispatchers): Listener {
+            const target = source.target;
+            const { event, delegates, flags, combos, options, priority } = parsed;
+            const { dispatcher, laterDispatcher } = dispatchers;
+            const exact: boolean = flags.includes('exact');
+            const filter: Filter = config.filters[event] || rejectAll;
+            const deep: boolean = flags.includes('deep');
+            const rateFlag: ?string = flags.find(isRateFlag);
+            const host: ?Host = getHost(parsed, target);
+            const outside: boolean = flags.includes('outside');
+            const guarded: boolean = (flags.includes('global') || flags.includes('root')) &&
+                !flags.includes('editable');
+            const sequences: Sequence[] = parsed.sequences
+                .map((steps) => ({steps, index: 0, time: 0}));
+            const listener: Listener = {
+                id,
+                event,
+                parsed,
+                source,
+                handler: eventHandler,
+                callback: false,
+                options,
+                priority,
+                limiter: rateFlag ? createLimiter(rateFlag, config) : null,
+                host,
+                done: false
+            };
+            // the listener is only removed once its handler
+            // has actually run, rather than relying on the
+            // native `once` option, so that events rejected
+            // by delegate or meta filters do not count
+            function invoke(context: ?Node, e: Event) {
+                const callback = listener.callback;
+                const wasAsync = async;
                 async = false;
                 (e: any).dispatch = dispatcher;
-                result = handler.call(this, e);
-                async = true;
-                return result;
+                (e: any).dispatchLater = laterDispatcher;
+                (e: any).delegateTarget = context;
+                if (flags.includes('form')) {
+                    const form = getForm(e.target);
+                    (e: any).formData = form ? serializeForm(form, (e: any).submitter) : null;
+                }
+                if (flags.includes('field')) {
+                    (e: any).field = getField(e.target);
+                }
+                debugging && log(`[events] "${parsed.key}" on ${describeTarget(target)} handling ${e.type}`,
+                    {event: e, delegateTarget: context, handler: callback});
+                try {
+                    return typeof callback === 'function' ? callback.call(context, e) : undefined;
+                } catch (error) {
+                    reportError(error, target, parsed.key, e);
+                } finally {
+                    async = wasAsync;
+                    if (flags.includes('once')) {
+                        listener.done = true;
+                        removeListener.call({target, type: event}, listener);
+                    }
+                }
             }
-            if (event.startsWith('amara:') && delegates.length) {
-                throwError('amara:* events must not be delegated');
+            function matchesMeta(e: Event) {
+                const state = {e, filter, exact, config, now: Date.now()};
+                const completed = sequences.map(advanceSequence, state).some(Boolean);
+                return completed || combos.some(matchesCombo, state);
             }
-            mapEventHandlers = targetHandlers.get(target);
-            if (!mapEventHandlers) {
-                this.added = true;
-                targetHandlers.set(target, mapEventHandlers = new Map());
+            function reject(e: Event, reason: string) {
+                debugging && log(`[events] "${parsed.key}" on ${describeTarget(target)} ignored ${e.type}: ${reason}`,
+                    {event: e});
             }
-            arrHandlers = mapEventHandlers.get(event);
+            function eventHandler(e: Event) {
+                let context = host ? target : this;
+                if (outside && !isOutside(e, target)) {
+                    return reject(e, 'inside the target');
+                }
+                if (guarded && isEditable(getOrigin(e))) {
+                    return reject(e, 'from an editable element');
+                }
+                if (flags.includes('self') && e.target !== this) {
+                    return reject(e, 'not from the target itself');
+                }
+                if (flags.includes('repeat') && !(e: any).repeat) {
+                    return reject(e, 'not a repeat');
+                }
+                if (flags.includes('norepeat') && (e: any).repeat) {
+                    return reject(e, 'a repeat');
+                }
+                if (delegates.length && !(context = closest(delegates, getDelegatePath(e, this, deep)))) {
+                    return reject(e, 'no element matches the delegate selectors');
+                }
+                if ((combos.length || sequences.length) && !matchesMeta(e)) {
+                    return reject(e, 'no meta value matches');
+                }
+                if (!combos.length && !sequences.length && exact && !matchesModifiers(e, [], true)) {
+                    return reject(e, 'modifier keys pressed');
+                }
+                flags.includes('prevent') && e.preventDefault();
+                flags.includes('stop') && e.stopPropagation();
+                if (listener.limiter) {
+                    return listener.limiter.schedule(context, e);
+                }
+                return invoke(context, e);
+            }
+            listener.limiter && (listener.limiter.invoke = invoke);
+            return listener;
+        }
+
+        // listeners are identified by key and occurrence, so
+        // a key that is unchanged between applications keeps
+        // its listener (and any `once` or rate limiting state)
+        // and only the handler function is swapped
+
+        // in dev mode, keys are validated as they are parsed
+
+        function parseDevKey(key: string, source: KeySource): ParsedKey {
+            if (config.dev) {
+                let parsed;
+                try {
+                    parsed = parseKey(key, config);
+                } catch (error) {
+                    error.message += ` (event key "${key}" in event map ${source.index + 1} ` +
+                        `applied to ${describeTarget(source.target)})`;
+                    throw error;
+                }
+                validateKey(parsed, source, config);
+                return parsed;
+            }
+            return parseKey(key, config);
+        }
+
+        function addHandlerForEvent(key: string) {
+            let listener: ?Listener, arrHandlers: ?Listener[];
+            const { map, target, previous, next, counts } = this;
+            const id = key + '#' + (counts[key] = (counts[key] || 0) + 1);
+            const source: KeySource = {target, map, index: this.index};
+            listener = previous.get(id);
+            previous.delete(id);
+            if (!listener) {
+                listener = createListener(parseDevKey(key, source), id, source, this);
+            }
+            listener.callback = map[key];
+            listener.source = source;
+            arrHandlers = next.get(listener.event);
             if (!arrHandlers) {
-                mapEventHandlers.set(event, arrHandlers = []);
+                next.set(listener.event, arrHandlers = []);
             }
-            target.addEventListener(event, eventHandler);
-            arrHandlers.push(eventHandler);
+            arrHandlers.push(listener);
         }
 
-        function applyEventMap(map: EventMap) {
+        // keys set to false are skipped (removing any listener
+        // they had), so a map can toggle a key with a boolean
+
+        function applyEventMap(map: EventMap, index: number) {
             this.map = map;
-            Object.keys(map).forEach(addHandlerForEvent, this);
+            this.index = index;
+            Object.keys(map)
+                .filter((key) => map[key] !== false)
+                .forEach(addHandlerForEvent, this);
+        }
+
+        function indexListeners(handlers: Listener[]) {
+            handlers.forEach((listener) => this.set(listener.id, listener));
+        }
+
+        // a target only listens to pointer events while
+        // it has handlers for at least one gesture
+
+        function updateRecognizer(target: Element, handlers: WrapperMap) {
+            const recognizer = recognizers.get(target);
+            const needed = gestureEvents.some((type) => handlers.has(type));
+            if (needed && !recognizer) {
+                recognizers.set(target, createRecognizer(target, config));
+            } else if (!needed && recognizer) {
+                recognizer.dispose();
+                recognizers.delete(target);
+            }
+        }
+
+        function notify(target: Element, name: string, data: {}) {
+            targetHandlers.has(target) &&
+                syncDispatch(getTargetDispatcher(target), Object.assign({type: config.prefix + name}, data));
+        }
+
+        // visible and hidden only fire when the target's
+        // visibility changes, so a target that starts out
+        // hidden does not fire hidden when first observed
+
+        function onIntersection(entries: any[]) {
+            const threshold = Math.min.apply(null, [].concat(config.intersection.threshold));
+            entries.forEach((entry) => {
+                const target = entry.target;
+                const visible = entry.isIntersecting && entry.intersectionRatio >= threshold;
+                if (visible !== visibleTargets.has(target)) {
+                    visible ? visibleTargets.add(target) : visibleTargets.delete(target);
+                    notify(target, visible ? 'visible' : 'hidden', {entry});
+                }
+            });
+        }
+
+        function onResize(entries: any[]) {
+            entries.forEach((entry) => notify(entry.target, 'resize', {contentRect: entry.contentRect, entry}));
+        }
+
+        // observers are shared between all targets and only
+        // created once a target has a handler that needs one
+
+        function getObserverClass(name: string) {
+            const Observer = config.getWindow()[name];
+            if (!Observer && !unsupported.has(name)) {
+                unsupported.add(name);
+                warn(`${name} is not supported; ${config.prefix}* events that need it will not fire.`);
+            }
+            return Observer;
+        }
+
+        function getObserver(name: string) {
+            const Observer = getObserverClass(name);
+            if (!observers[name] && Observer) {
+                observers[name] = name === 'ResizeObserver'
+                    ? new Observer(onResize)
+                    : new Observer(onIntersection, config.intersection);
+            }
+            return observers[name];
+        }
+
+        function observe(name: string, target: Element, needed: boolean) {
+            const targets = observed[name];
+            const observer = needed !== targets.has(target) && getObserver(name);
+            if (!observer) {
+                return;
+            }
+            if (needed) {
+                targets.add(target);
+                observer.observe(target);
+            } else {
+                targets.delete(target);
+                visibleTargets.delete(target);
+                observer.unobserve(target);
+            }
+        }
+
+        function onMutation(target: Element, records: any[]) {
+            const attributes = records.filter((record) => record.type === 'attributes');
+            const children = records.filter((record) => record.type === 'childList');
+            attributes.length && notify(target, 'attribute', {records: attributes});
+            children.length && notify(target, 'children', {records: children});
+        }
+
+        // records taken from the observer (rather than passed
+        // to its callback) are delivered in a microtask, just
+        // as the observer itself would have delivered them
+
+        function deliverLater(target: Element, records: any[]) {
+            records.length && Promise.resolve().then(() => onMutation(target, records));
+        }
+
+        // each target has its own mutation observer, which is
+        // reconnected whenever the target is re-applied so it
+        // only observes the kinds of mutations still handled
+
+        function updateMutationObserver(target: Element, handlers: WrapperMap) {
+            const attributes = handlers.has(config.prefix + 'attribute');
+            const childList = handlers.has(config.prefix + 'children');
+            let observer = mutationObservers.get(target);
+            if (observer) {
+                deliverLater(target, observer.takeRecords());
+                observer.disconnect();
+            }
+            if (!attributes && !childList) {
+                mutationObservers.delete(target);
+                return;
+            }
+            const Observer = observer || getObserverClass('MutationObserver');
+            if (!Observer) {
+                return;
+            }
+            observer = observer || new Observer((records) => onMutation(target, records));
+            observer.observe(target, {attributes, attributeOldValue: attributes, childList});
+            mutationObservers.set(target, observer);
+        }
+
+        // the disabled attribute is temporarily removed while
+        // an action is dispatched from the target; unless the
+        // dispatch itself changed it, those mutations are hidden
+
+        function takeMutations(target: Element): any[] {
+            const observer = mutationObservers.get(target);
+            return observer ? observer.takeRecords() : [];
+        }
+
+        function restoreMutations(target: Element, held: any[], meta: {[string]: any}) {
+            const records = takeMutations(target);
+            const disabled = records.filter((record) => record.attributeName === 'disabled');
+            const changed = target.hasAttribute('disabled') !== meta.wasDisabled;
+            deliverLater(target, held.concat(records.filter((record) =>
+                record.attributeName !== 'disabled' || (changed && record === disabled[disabled.length - 1]))));
+        }
+
+        function updateObservers(target: Element, handlers: WrapperMap) {
+            const has = (name) => handlers.has(config.prefix + name);
+            observe('IntersectionObserver', target, has('visible') || has('hidden'));
+            observe('ResizeObserver', target, has('resize'));
+            updateMutationObserver(target, handlers);
         }
 
         function applyEventsToTarget(results: EventMap[], target: Element) {
+            const dispatcher = getTargetDispatcher(target);
+            const mapEventHandlers: void|WrapperMap = targetHandlers.get(target);
+            const previous: WrapperMap = mapEventHandlers || new Map();
             const context = {
                 target,
-                added: false,
-                dispatcher: getTargetDispatcher(target)
+                dispatcher,
+                laterDispatcher: getLaterDispatcher(target, dispatcher),
+                previous: new Map(),
+                next: new Map(),
+                counts: {}
             };
-            const mapEventHandlers = targetHandlers.get(target);
-            mapEventHandlers && mapEventHandlers.forEach(removeListeners, target);
-            mapEventHandlers && mapEventHandlers.clear();
+            removedTargets.delete(target);
+            previous.forEach(indexListeners, context.previous);
             [].concat(...results).forEach(applyEventMap, context);
-            context.added && syncDispatch(context.dispatcher, {type: 'amara:add'});
-            syncDispatch(context.dispatcher, {type: 'amara:apply'});
+            context.next.forEach(sortByPriority);
+            Array.from(previous.keys())
+                .concat(Array.from(context.next.keys()))
+                .filter(unique)
+                .forEach(function reconcile(type) {
+                    const routed = isRouted(type);
+                    routed && ensureRouted(type);
+                    reconcileListeners.call({target, previous, next: context.next, routed}, type);
+                });
+            context.previous.forEach(disposeListener);
+            updateRecognizer(target, context.next);
+            updateObservers(target, context.next);
+            if (mapEventHandlers || context.next.size) {
+                targetHandlers.set(target, context.next);
+                register(target, mapEventHandlers, context.next);
+                !mapEventHandlers && syncDispatch(dispatcher, {type: config.prefix + 'add'});
+                syncDispatch(dispatcher, {type: config.prefix + 'apply'});
+            }
         }
 
         function removeTargetHandlers(target: Element) {
-            const mapHandlerWrapper: void|Map<string, EventHandler[]> = targetHandlers.get(target);
+            const mapHandlerWrapper: void|WrapperMap = targetHandlers.get(target);
             if (mapHandlerWrapper) {
-                syncDispatch(getTargetDispatcher(target), {type: 'amara:remove'});
+                syncDispatch(getTargetDispatcher(target), {type: config.prefix + 'remove'});
+                removedTargets.add(target);
                 targetHandlers.delete(target);
+                register(target, mapHandlerWrapper, null);
                 mapHandlerWrapper.forEach(removeListeners, target);
+                mapHandlerWrapper.forEach(disposeListeners);
                 mapHandlerWrapper.clear();
+                updateRecognizer(target, mapHandlerWrapper);
+                updateObservers(target, mapHandlerWrapper);
             }
         }
 
@@ -197,12 +1344,16 @@ export default function AmaraPluginEvents(): AmaraEvents {
             switch(action.type) {
             case 'core:bootstrap':
                 root = action.payload.target;
+                routedTypes.forEach(addRouteListeners);
                 break;
             case 'core:apply-target-results':
                 action.payload.events && action.payload.events.forEach(applyEventsToTarget);
                 break;
             case 'engine:targets-removed':
                 action.payload.forEach(removeTargetHandlers);
+                break;
+            case 'events:debug':
+                debugging = action.payload !== false;
             }
         };
 
@@ -210,6 +1361,54 @@ export default function AmaraPluginEvents(): AmaraEvents {
 
 }
 
+AmaraPluginEvents.inspect = inspect;
+AmaraPluginEvents.parse = parse;
+
+type Aliases = {
+    [name: string]: string|number
+}
+
+type PluginOptions = {
+    strategy?: 'target' | 'root',
+    lifecyclePrefix?: string,
+    patchDisabled?: boolean,
+    eventInit?: {[string]: any},
+    aliases?: Aliases,
+    fixes?: Aliases,
+    filters?: Filters,
+    sequenceTimeout?: number,
+    gestures?: {[string]: number},
+    intersection?: {[string]: any},
+    rethrow?: boolean,
+    dev?: boolean,
+    debug?: boolean,
+    window?: any,
+    CustomEvent?: typeof CustomEvent
+}
+
+type Config = {
+    routed: boolean,
+    prefix: string,
+    patchDisabled: boolean,
+    eventInit: {[string]: any},
+    aliases: Aliases,
+    fixes: Aliases,
+    filters: Filters,
+    sequenceTimeout: number,
+    gestures: Gestures,
+    intersection: {[string]: any},
+    rethrow: boolean,
+    dev: boolean,
+    debug: boolean,
+    getWindow: () => any,
+    getCustomEvent: () => typeof CustomEvent
+}
+
+type RouteState = {
+    stopped: boolean,
+    immediate: boolean
+}
+
 type Action = {
     type: string,
     meta?: {},
@@ -218,12 +1417,121 @@ type Action = {
 
 type Dispatch = (action: Action) => void;
 
+type DispatchResult = {
+    action: any,
+    delivered: boolean,
+    defaultPrevented: boolean,
+    stoppedAt: ?EventTarget
+}
+
+type TargetDispatcher = (action: any, eventInitOptions?: {[string]: any}) => DispatchResult;
+
 type AmaraEvents = (dispatch: Dispatch) => (action: Action) => void;
 
 type EventHandler = (e: Event) => ?boolean
 
 type EventMap = {
-    [name: string]: EventHandler
+    [name: string]: EventHandler|boolean
+}
+
+type ListenerOptions = {
+    capture?: boolean,
+    once?: boolean,
+    passive?: boolean
+}
+
+type ParsedKey = {
+    key: string,
+    event: string,
+    scope: ?string,
+    delegates: string[],
+    flags: string[],
+    combos: Combo[],
+    sequences: Combo[][],
+    options: ListenerOptions,
+    priority: number
+}
+
+type Listener = {
+    id: string,
+    event: string,
+    handler: EventHandler,
+    callback: EventHandler|boolean,
+    options: ListenerOptions,
+    priority: number,
+    limiter: ?Limiter,
+    host: ?Host,
+    parsed: ParsedKey,
+    source: KeySource,
+    done: boolean
 }
 
-type WrapperMap = Map<string, EventHandler[]>
+type InspectedEntry = {
+    key: string,
+    event: string,
+    scope: ?string,
+    delegates: string[],
+    flags: string[],
+    meta: Combo[],
+    sequences: Combo[][],
+    options: ListenerOptions,
+    priority: number,
+    handler: EventHandler|boolean,
+    source: {map: EventMap, index: number},
+    done: boolean
+}
+
+type KeySource = {
+    target: Element,
+    map: EventMap,
+    index: number
+}
+
+type Dispatchers = {
+    dispatcher: TargetDispatcher,
+    laterDispatcher: TargetDispatcher
+}
+
+type WrapperMap = Map<string, Listener[]>
+
+type Limiter = {
+    invoke: (context: ?Node, e: Event) => any,
+    schedule: (context: ?Node, e: Event) => void,
+    cancel: () => void
+}
+
+type Filter = (e: any, value: string, config: Config) => boolean;
+type Filters = {[string]: Filter};
+type Combo = {
+    value: string,
+    modifiers: string[]
+}
+
+type FormField = {
+    name: string,
+    value: any
+}
+
+type Gestures = {
+    longpressDelay: number,
+    tapDuration: number,
+    tapDistance: number,
+    doubletapDelay: number,
+    swipeDistance: number,
+    swipeDuration: number
+}
+
+type Host = {
+    +addEventListener: (type: string, handler: EventHandler, options?: ListenerOptions) => void,
+    +removeEventListener: (type: string, handler: EventHandler, options?: ListenerOptions) => void
+}
+
+type Recognizer = {
+    dispose: () => void
+}
+
+type Sequence = {
+    steps: Combo[],
+    index: number,
+    time: number
+}
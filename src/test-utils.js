@@ -0,0 +1,238 @@
+// @flow
+
+import AmaraPluginEvents from './index';
+import {
+    modifierProps, asKey, asButton, pointerTypes, metaFilters, keyFilter,
+    buttonFilter, pointerFilter, wheelFilter, gestureFilter, swipeFilter
+} from './filters';
+
+const wheelDeltas = {
+    up:         {deltaY: -100},
+    down:       {deltaY: 100},
+    left:       {deltaX: -100},
+    right:      {deltaX: 100}
+};
+
+function throwError(message) {
+    throw new Error(message);
+}
+
+function keyInit(value: string) {
+    return value.indexOf('code-') === 0 ? {code: value.slice(5)} : {key: asKey(value)};
+}
+
+function buttonInit(value: string) {
+    const button = Number(asButton(value));
+    return isNaN(button) ? null : {button};
+}
+
+function pointerInit(value: string) {
+    const init = buttonInit(value);
+    if (pointerTypes.includes(value)) {
+        return {pointerType: value};
+    }
+    return init ? {pointerType: 'mouse', button: init.button} : null;
+}
+
+function wheelInit(value: string) {
+    return wheelDeltas[value] || null;
+}
+
+function gestureInit(value: string) {
+    return pointerTypes.includes(value) ? {detail: {pointerType: value}} : null;
+}
+
+function swipeInit(value: string) {
+    return wheelDeltas[value] ? {detail: {direction: value}} : gestureInit(value);
+}
+
+// the event constructors to try, and the event properties
+// that make each of the plugin's built-in filters match
+// a value
+
+const filterEvents: Map<Function, FilterEvent> = new Map([
+    [keyFilter,     {constructors: ['KeyboardEvent'], init: keyInit}],
+    [buttonFilter,  {constructors: ['MouseEvent'], init: buttonInit}],
+    [pointerFilter, {constructors: ['PointerEvent', 'MouseEvent'], init: pointerInit}],
+    [wheelFilter,   {constructors: ['WheelEvent', 'MouseEvent'], init: wheelInit}],
+    [gestureFilter, {constructors: ['CustomEvent'], init: gestureInit}],
+    [swipeFilter,   {constructors: ['CustomEvent'], init: swipeInit}]
+]);
+
+// values for custom filters are left to the caller's
+// init properties, since only the filter knows what
+// they match
+
+function getEventInit(parsed: any, combo: ?Combo, options: PluginOptions): {} {
+    const filterEvent: ?FilterEvent = filterEvents.get(metaFilters[parsed.event]);
+    const custom: boolean = Boolean(options.filters && options.filters[parsed.event]);
+    const valueInit = combo && !custom ? (filterEvent ? filterEvent.init(combo.value) : null) : {};
+    if (!valueInit) {
+        throwError(`Cannot create a "${parsed.event}" event matching "${combo ? combo.value : ''}" ` +
+            `in "${parsed.key}".`);
+    }
+    return Object.assign(
+        {},
+        ...(combo ? combo.modifiers : []).map((name) => ({[modifierProps[name]]: true})),
+        parsed.flags.includes('repeat') ? {repeat: true} : {},
+        valueInit
+    );
+}
+
+// jsdom (and older browsers) may not support the event's
+// constructor or all of its properties, so any property
+// the event is missing is defined on it
+
+function createEvent(win: any, parsed: any, combo: ?Combo, options: PluginOptions, init: {}): Event {
+    const filterEvent: ?FilterEvent = filterEvents.get(metaFilters[parsed.event]);
+    const constructors = filterEvent ? filterEvent.constructors : [];
+    const Type = constructors.map((name) => win[name]).find(Boolean) || win.CustomEvent;
+    const props = Object.assign({bubbles: true, cancelable: true, composed: true},
+        getEventInit(parsed, combo, options), init);
+    const e = new Type(parsed.event, props);
+    Object.keys(props)
+        .filter((prop) => !(prop in e))
+        .forEach((prop) => Object.defineProperty(e, prop, {value: props[prop]}));
+    return e;
+}
+
+function getEventTarget(target: Element, parsed: any): EventTarget {
+    const doc: any = target.ownerDocument;
+    if (parsed.scope === 'window') {
+        return doc.defaultView;
+    }
+    if (parsed.scope === 'document') {
+        return doc;
+    }
+    if (parsed.flags.includes('outside')) {
+        return doc.documentElement === target ? doc : doc.documentElement;
+    }
+    if (parsed.delegates.length) {
+        const selectors = parsed.delegates.join(', ');
+        return target.querySelector(selectors) ||
+            throwError(`Cannot simulate "${parsed.key}": no element in the target matches "${selectors}".`);
+    }
+    return target;
+}
+
+// creates a plugin instance with a dispatch function
+// that records the actions reaching AmaraJS, and helpers
+// to apply event maps and simulate the events they handle
+
+export default function createTestHarness(pluginOptions: PluginOptions = {}): TestHarness {
+    const options: PluginOptions = Object.assign({}, pluginOptions);
+    const actions: Action[] = [];
+    const dispatch = (action: Action) => {
+        actions.push(action);
+    };
+    const handler = AmaraPluginEvents(options)(dispatch);
+    let bootstrapped = false;
+
+    // unless a window was given, the plugin uses the window
+    // of the first node the harness sees, so it works in a
+    // DOM environment that is not installed globally
+
+    function useWindow(node: Node) {
+        options.window = options.window || (node.ownerDocument: any).defaultView;
+    }
+
+    function dispatched(type: string): Action[] {
+        return actions.filter((action) => action.type === type);
+    }
+
+    function describeActions() {
+        return actions.length ? actions.map((action) => `"${action.type}"`).join(', ') : 'none';
+    }
+
+    const harness: TestHarness = {
+        actions,
+        dispatch,
+        handler,
+        inspect: AmaraPluginEvents.inspect,
+        dispatched,
+        bootstrap(root: Element) {
+            useWindow(root);
+            bootstrapped = true;
+            handler({type: 'core:bootstrap', payload: {target: root}});
+            return harness;
+        },
+        // targets must be attached to the root (by default,
+        // the target's document element) for dispatched
+        // actions to reach AmaraJS
+        apply(target: Element, ...maps: {}[]) {
+            bootstrapped || harness.bootstrap((target.ownerDocument: any).documentElement);
+            handler({type: 'core:apply-target-results', payload: {events: new Map([[target, maps]])}});
+            return harness;
+        },
+        remove(...targets: Element[]) {
+            handler({type: 'engine:targets-removed', payload: targets});
+            return harness;
+        },
+        // fires the event (or, for sequences, each of the
+        // events) that the key handles, returning the last
+        simulate(target: Element, key: string, init: {} = {}) {
+            useWindow(target);
+            const parsed = AmaraPluginEvents.parse(key, options);
+            const win = (target.ownerDocument: any).defaultView;
+            const eventTarget = getEventTarget(target, parsed);
+            const steps = parsed.sequences.length ? parsed.sequences[0] : [parsed.combos[0]];
+            if (parsed.event.startsWith(options.lifecyclePrefix || 'amara:')) {
+                throwError(`Cannot simulate "${key}": use apply() and remove() for lifecycle events.`);
+            }
+            const events = steps.map((combo) => createEvent(win, parsed, combo, options, init));
+            events.forEach((e) => eventTarget.dispatchEvent(e));
+            return events[events.length - 1];
+        },
+        assertDispatched(type: string) {
+            const matching = dispatched(type);
+            if (!matching.length) {
+                throwError(`Expected action "${type}" to be dispatched, but got ${describeActions()}.`);
+            }
+            return matching[matching.length - 1];
+        },
+        assertNotDispatched(type: string) {
+            if (dispatched(type).length) {
+                throwError(`Expected action "${type}" not to be dispatched, but got ${describeActions()}.`);
+            }
+        },
+        reset() {
+            actions.length = 0;
+            return harness;
+        }
+    };
+
+    return harness;
+}
+
+type PluginOptions = {[string]: any}
+
+type Action = {
+    type: string,
+    payload?: any,
+    meta?: any
+}
+
+type FilterEvent = {
+    constructors: string[],
+    init: (value: string) => ?{}
+}
+
+type Combo = {
+    value: string,
+    modifiers: string[]
+}
+
+type TestHarness = {
+    actions: Action[],
+    dispatch: (action: Action) => void,
+    handler: (action: Action) => void,
+    inspect: (target: Node) => any[],
+    dispatched: (type: string) => Action[],
+    bootstrap: (root: Element) => TestHarness,
+    apply: (target: Element, ...maps: {}[]) => TestHarness,
+    remove: (...targets: Element[]) => TestHarness,
+    simulate: (target: Element, key: string, init?: {}) => ?Event,
+    assertDispatched: (type: string) => Action,
+    assertNotDispatched: (type: string) => void,
+    reset: () => TestHarness
+}
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const vm = require('vm');
 const sinon = require('sinon');
 const expect = require('chai').expect;
 const JSDOM = require('jsdom').JSDOM;
@@ -113,6 +115,59 @@ describe('Events', function() {
             expect(spy.called).false;
         });
 
+        it('runs for event fired on descendant of delegate', function() {
+            const parent = this.div();
+            const child = this.div();
+            const span = this.window.document.createElement('span');
+            const spy = sinon.spy();
+            child.setAttribute('custom', '');
+            child.appendChild(span);
+            parent.appendChild(child);
+            this.handler(apply(parent, {'click div[custom]': spy}));
+            this.fire(span, 'click');
+            expect(spy.calledOnce).true;
+        });
+
+        it('invoked with delegate as context and delegateTarget', function() {
+            const parent = this.div();
+            const child = this.div();
+            const span = this.window.document.createElement('span');
+            const spy = sinon.spy();
+            child.setAttribute('custom', '');
+            child.appendChild(span);
+            parent.appendChild(child);
+            this.handler(apply(parent, {'click div[custom]': spy}));
+            this.fire(span, 'click');
+            expect(spy.lastCall.thisValue).equals(child);
+            expect(this.e.delegateTarget).equals(child);
+        });
+
+        it('does not match delegates outside target', function() {
+            const outer = this.div();
+            const parent = this.div();
+            const child = this.div();
+            const spy = sinon.spy();
+            outer.setAttribute('custom', '');
+            outer.appendChild(parent);
+            parent.appendChild(child);
+            this.handler(apply(parent, {'click div[custom]': spy}));
+            this.fire(child, 'click');
+            expect(spy.called).false;
+        });
+
+        it('matches the target itself as delegate', function() {
+            const parent = this.div();
+            const child = this.div();
+            const spy = sinon.spy();
+            parent.className = 'x';
+            parent.appendChild(child);
+            this.handler(apply(parent, {'click div.x': spy}));
+            this.fire(parent, 'click');
+            this.fire(child, 'click');
+            expect(spy.calledTwice).true;
+            expect(spy.thisValues[1]).equals(parent);
+        });
+
         it('does not run for stopped bubbled event', function() {
             const parent = this.div();
             const child = this.div();
@@ -182,6 +237,74 @@ describe('Events', function() {
             expect(spy2.calledOnce).true;
         });
 
+        describe('re-application', function() {
+
+            it('keeps listeners for unchanged keys', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {click: spy1}));
+                const add = sinon.spy(div, 'addEventListener');
+                const remove = sinon.spy(div, 'removeEventListener');
+                this.handler(apply(div, {click: spy2}));
+                expect(add.called).false;
+                expect(remove.called).false;
+                this.fire(div, 'click');
+                expect(spy1.called).false;
+                expect(spy2.calledOnce).true;
+            });
+
+            it('only adds and removes keys that changed', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {click: () => {}, keydown: () => {}}));
+                const add = sinon.spy(div, 'addEventListener');
+                const remove = sinon.spy(div, 'removeEventListener');
+                this.handler(apply(div, {click: () => {}, input: spy}));
+                expect(add.calledOnce).true;
+                expect(add.calledWith('input')).true;
+                expect(remove.calledOnce).true;
+                expect(remove.calledWith('keydown')).true;
+                this.fire(div, 'input');
+                expect(spy.calledOnce).true;
+            });
+
+            it('keeps order when keys are inserted', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                const spy3 = sinon.spy();
+                this.handler(apply(div, {click: spy1}, {'click.self': spy3}));
+                this.handler(apply(div, {click: spy1}, {'click.stop': spy2}, {'click.self': spy3}));
+                this.fire(div, 'click');
+                expect(spy1.calledBefore(spy2)).true;
+                expect(spy2.calledBefore(spy3)).true;
+            });
+
+            it('distinguishes repeated keys by position', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {click: () => {}}, {click: () => {}}));
+                this.handler(apply(div, {click: spy1}, {click: spy2}));
+                this.fire(div, 'click');
+                expect(spy1.calledOnce).true;
+                expect(spy2.calledOnce).true;
+                expect(spy1.calledBefore(spy2)).true;
+            });
+
+            it('keeps once state for unchanged keys', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'click.once': spy}));
+                this.fire(div, 'click');
+                this.handler(apply(div, {'click.once': spy}));
+                this.fire(div, 'click');
+                expect(spy.calledOnce).true;
+            });
+
+        });
+
         it('removes handler when node removed', function() {
             const div = this.div();
             const spy = sinon.spy();
@@ -194,6 +317,401 @@ describe('Events', function() {
             expect(spy.called).false;
         });
 
+        describe('listener options', function() {
+
+            it('runs capture handlers before target handlers', function() {
+                const parent = this.div();
+                const child = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                parent.appendChild(child);
+                this.handler(apply(child, {click: spy2}));
+                this.handler(apply(parent, {'click.capture': spy1}));
+                this.fire(child, 'click');
+                expect(spy1.calledBefore(spy2)).true;
+            });
+
+            it('removes capture handlers when re-applied', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {'click.capture': spy1}));
+                this.handler(apply(div, {'click.capture': spy2}));
+                this.fire(div, 'click');
+                expect(spy1.called).false;
+                expect(spy2.calledOnce).true;
+            });
+
+            it('removes capture handlers when node removed', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'click.capture': spy}));
+                this.handler({
+                    type: 'engine:targets-removed',
+                    payload: [div]
+                });
+                this.fire(div, 'click');
+                expect(spy.called).false;
+            });
+
+            it('adds passive handlers as passive listeners', function() {
+                const div = this.div();
+                const spy = sinon.spy(div, 'addEventListener');
+                this.handler(apply(div, {'touchstart.passive': () => {}}));
+                expect(spy.calledWith('touchstart', sinon.match.func, sinon.match({passive: true}))).true;
+            });
+
+            it('runs once handlers only once', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'click.once': spy}));
+                this.fire(div, 'click');
+                this.fire(div, 'click');
+                expect(spy.calledOnce).true;
+            });
+
+            it('does not count filtered events against once handlers', function() {
+                const parent = this.div();
+                const child = this.div();
+                const spy = sinon.spy();
+                child.setAttribute('custom', '');
+                parent.appendChild(child);
+                this.handler(apply(parent, {'click.once div[custom]': spy}));
+                this.fire(parent, 'click');
+                expect(spy.called).false;
+                this.fire(child, 'click');
+                this.fire(child, 'click');
+                expect(spy.calledOnce).true;
+            });
+
+            it('runs self handlers for direct events', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'click.self': spy}));
+                this.fire(div, 'click');
+                expect(spy.calledOnce).true;
+            });
+
+            it('does not run self handlers for bubbled events', function() {
+                const parent = this.div();
+                const child = this.div();
+                const spy = sinon.spy();
+                parent.appendChild(child);
+                this.handler(apply(parent, {'click.self': spy}));
+                this.fire(child, 'click');
+                expect(spy.called).false;
+            });
+
+            it('prevents default when prevent specified', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'click.prevent': spy}));
+                expect(this.fire(div, 'click')).false;
+                expect(spy.args[0][0].defaultPrevented).true;
+            });
+
+            it('stops propagation when stop specified', function() {
+                const parent = this.div();
+                const child = this.div();
+                const spy = sinon.spy();
+                parent.appendChild(child);
+                this.handler(apply(child, {'click.stop': () => {}}));
+                this.handler(apply(parent, {click: spy}));
+                this.fire(child, 'click');
+                expect(spy.called).false;
+            });
+
+            it('does not prevent or stop filtered events', function() {
+                const parent = this.div();
+                const child = this.div();
+                const spy = sinon.spy();
+                parent.appendChild(child);
+                this.handler(apply(child, {'keydown.enter.prevent.stop': () => {}}));
+                this.handler(apply(parent, {keydown: spy}));
+                this.fire(child, 'keydown', null, {key: 'Escape', bubbles: true, cancelable: true}, this.window.KeyboardEvent);
+                expect(this.e.defaultPrevented).false;
+                expect(spy.calledOnce).true;
+            });
+
+            it('does not require a handler function', function() {
+                const parent = this.div();
+                const child = this.window.document.createElement('a');
+                child.setAttribute('href', '#');
+                parent.appendChild(child);
+                this.handler(apply(parent, {'click.prevent a[href="#"]': true}));
+                expect(this.fire(child, 'click')).false;
+            });
+
+            it('skips keys set to false', function() {
+                const div = this.div();
+                this.handler(apply(div, {'click.prevent': false}));
+                expect(this.fire(div, 'click')).true;
+                this.handler(apply(div, {'click.prevent': true}));
+                expect(this.fire(div, 'click')).false;
+                this.handler(apply(div, {'click.prevent': false}));
+                expect(this.fire(div, 'click')).true;
+            });
+
+            ['focus', 'blur'].forEach(function testNonBubbling(type) {
+
+                it('delegates non-bubbling ' + type + ' events', function() {
+                    const parent = this.div();
+                    const input = this.window.document.createElement('input');
+                    const spy = sinon.spy();
+                    parent.appendChild(input);
+                    this.handler(apply(parent, {[type + ' input']: spy}));
+                    this.fire(input, type, null, {bubbles: false});
+                    expect(spy.calledOnce).true;
+                    expect(spy.lastCall.thisValue).equals(input);
+                });
+
+            });
+
+        });
+
+        describe('priority', function() {
+
+            it('runs higher priority handlers first', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {click: spy1}, {'click.priority-10': spy2}));
+                this.fire(div, 'click');
+                expect(spy2.calledBefore(spy1)).true;
+            });
+
+            it('runs negative priority handlers last', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {'click.priority--1': spy1}, {click: spy2}));
+                this.fire(div, 'click');
+                expect(spy2.calledBefore(spy1)).true;
+            });
+
+            it('runs equal priority handlers in order applied', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                const spy3 = sinon.spy();
+                this.handler(apply(div,
+                    {'click.priority-5': spy1},
+                    {click: spy2},
+                    {'click.priority-5': spy3}
+                ));
+                this.fire(div, 'click');
+                expect(spy1.calledBefore(spy3)).true;
+                expect(spy3.calledBefore(spy2)).true;
+            });
+
+            it('sorts handlers when re-applied', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {click: spy1}, {click: spy2}));
+                this.handler(apply(div, {click: spy1}, {'click.priority-1': spy2}));
+                spy1.reset();
+                spy2.reset();
+                this.fire(div, 'click');
+                expect(spy2.calledBefore(spy1)).true;
+            });
+
+            it('blocks lower priority handlers when stopped immediately', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div,
+                    {click: spy},
+                    {'click.priority-10': (e) => e.stopImmediatePropagation()}
+                ));
+                this.fire(div, 'click');
+                expect(spy.called).false;
+            });
+
+        });
+
+        describe('shadow DOM', function() {
+
+            // jsdom does not support shadow DOM, so we simulate a
+            // retargeted event using composedPath and getRootNode
+
+            beforeEach(function createShadowTree() {
+                const doc = this.window.document;
+                this.parent = this.div();
+                this.host = this.div();
+                this.shadow = doc.createDocumentFragment();
+                this.button = doc.createElement('button');
+                this.span = doc.createElement('span');
+                this.button.appendChild(this.span);
+                this.shadow.appendChild(this.button);
+                this.parent.appendChild(this.host);
+                [this.parent, this.host].forEach((node) => node.getRootNode = () => doc);
+                [this.button, this.span].forEach((node) => node.getRootNode = () => this.shadow);
+                this.fireComposed = (type) => {
+                    const path = [this.span, this.button, this.shadow, this.host, this.parent];
+                    this.e = new this.window.CustomEvent(type, {bubbles: true, composed: true});
+                    this.e.composedPath = () => path;
+                    return this.host.dispatchEvent(this.e);
+                };
+            });
+
+            it('does not match delegates inside shadow roots by default', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.parent, {'click button': spy}));
+                this.fireComposed('click');
+                expect(spy.called).false;
+            });
+
+            it('matches shadow host by default', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.parent, {'click div': spy}));
+                this.fireComposed('click');
+                expect(spy.calledOnce).true;
+                expect(spy.lastCall.thisValue).equals(this.host);
+            });
+
+            it('matches delegates inside shadow roots when deep', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.parent, {'click.deep button': spy}));
+                this.fireComposed('click');
+                expect(spy.calledOnce).true;
+                expect(spy.lastCall.thisValue).equals(this.button);
+                expect(this.e.delegateTarget).equals(this.button);
+            });
+
+            it('does not match ancestors of the target when deep', function() {
+                const spy = sinon.spy();
+                this.parent.className = 'outer';
+                this.handler(apply(this.host, {'click.deep .outer': spy}));
+                this.fireComposed('click');
+                expect(spy.called).false;
+            });
+
+        });
+
+        describe('rate limiting', function() {
+
+            beforeEach(function useFakeTimers() {
+                this.clock = sinon.useFakeTimers();
+                this.window.requestAnimationFrame = (fn) => setTimeout(fn, 16);
+                this.window.cancelAnimationFrame = (id) => clearTimeout(id);
+            });
+
+            afterEach(function restoreTimers() {
+                this.clock.restore();
+            });
+
+            it('debounces handler', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'input.debounce-300': spy}));
+                this.fire(div, 'input');
+                this.clock.tick(200);
+                this.fire(div, 'input');
+                this.clock.tick(200);
+                expect(spy.called).false;
+                this.clock.tick(100);
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0]).equals(this.e);
+            });
+
+            it('throttles handler', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'scroll.throttle-100': spy}));
+                this.fire(div, 'scroll');
+                expect(spy.calledOnce).true;
+                this.fire(div, 'scroll');
+                this.fire(div, 'scroll');
+                expect(spy.calledOnce).true;
+                this.clock.tick(100);
+                expect(spy.calledTwice).true;
+                expect(spy.args[1][0]).equals(this.e);
+            });
+
+            it('limits handler to animation frames', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'mousemove.raf': spy}));
+                this.fire(div, 'mousemove');
+                this.fire(div, 'mousemove');
+                expect(spy.called).false;
+                this.clock.tick(16);
+                expect(spy.calledOnce).true;
+            });
+
+            it('works with delegated events', function() {
+                const parent = this.div();
+                const child = this.window.document.createElement('input');
+                const spy = sinon.spy();
+                child.className = 'search';
+                parent.appendChild(child);
+                this.handler(apply(parent, {'input.debounce-300 .search': spy}));
+                this.fire(parent, 'input');
+                this.fire(child, 'input');
+                this.clock.tick(300);
+                expect(spy.calledOnce).true;
+                expect(spy.lastCall.thisValue).equals(child);
+            });
+
+            it('keeps pending invocation when re-applied', function() {
+                const div = this.div();
+                const spy1 = sinon.spy();
+                const spy2 = sinon.spy();
+                this.handler(apply(div, {'input.debounce-300': spy1}));
+                this.fire(div, 'input');
+                this.clock.tick(200);
+                this.handler(apply(div, {'input.debounce-300': spy2}));
+                this.clock.tick(100);
+                expect(spy1.called).false;
+                expect(spy2.calledOnce).true;
+            });
+
+            it('cancels pending invocation when key removed', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'input.debounce-300': spy}));
+                this.fire(div, 'input');
+                this.handler(apply(div, {'input': () => {}}));
+                this.clock.tick(300);
+                expect(spy.called).false;
+            });
+
+            it('cancels pending invocation when node removed', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'input.debounce-300': spy}));
+                this.fire(div, 'input');
+                this.handler({
+                    type: 'engine:targets-removed',
+                    payload: [div]
+                });
+                this.clock.tick(300);
+                expect(spy.called).false;
+            });
+
+            it('applies prevent when event fires', function() {
+                const div = this.div();
+                this.handler(apply(div, {'click.prevent.debounce-300': () => {}}));
+                expect(this.fire(div, 'click')).false;
+            });
+
+            it('allows handler to dispatch actions', function() {
+                const div = this.div();
+                const target = this.div();
+                const action = {type: 'test'};
+                target.appendChild(div);
+                this.handler({
+                    type: 'core:bootstrap',
+                    payload: {target}
+                });
+                this.handler(apply(div, {'input.debounce-300': (e) => e.dispatch(action)}));
+                this.fire(div, 'input');
+                this.clock.tick(300);
+                expect(this.dispatch.calledWith(action)).true;
+            });
+
+        });
+
         ['keydown', 'keypress', 'keyup'].forEach(function testKeyboardEvent(type) {
 
             describe('KeyboardEvent: ' + type, function() {
@@ -249,147 +767,1778 @@ describe('Events', function() {
                     expect(spy.called).true;
                 });
 
+                it('works with modifier combo', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.ctrl+s']: spy}));
+                    this.fire(div, type, null, {key: 's', ctrlKey: true}, this.window.KeyboardEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+                it('does not handle combo without modifier', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.ctrl+s']: spy}));
+                    this.fire(div, type, null, {key: 's'}, this.window.KeyboardEvent);
+                    expect(spy.called).false;
+                });
+
+                it('ignores extra modifiers by default', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.enter']: spy}));
+                    this.fire(div, type, null, {key: 'Enter', ctrlKey: true}, this.window.KeyboardEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+                it('does not ignore extra modifiers when exact', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.enter.shift+space.exact']: spy}));
+                    this.fire(div, type, null, {key: 'Enter', ctrlKey: true}, this.window.KeyboardEvent);
+                    this.fire(div, type, null, {key: ' ', shiftKey: true, altKey: true}, this.window.KeyboardEvent);
+                    expect(spy.called).false;
+                    this.fire(div, type, null, {key: 'Enter'}, this.window.KeyboardEvent);
+                    this.fire(div, type, null, {key: ' ', shiftKey: true}, this.window.KeyboardEvent);
+                    expect(spy.calledTwice).true;
+                });
+
+                it('works with multiple combos', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.ctrl+s.alt+shift+s']: spy}));
+                    this.fire(div, type, null, {key: 's', altKey: true}, this.window.KeyboardEvent);
+                    expect(spy.called).false;
+                    this.fire(div, type, null, {key: 's', altKey: true, shiftKey: true}, this.window.KeyboardEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+                it('works with combo in delegated events', function() {
+                    const parent = this.div();
+                    const child = this.div();
+                    const spy = sinon.spy();
+                    child.setAttribute('test', '');
+                    parent.appendChild(child);
+                    this.handler(apply(parent, {[type + '.shift+enter [test]']: spy}));
+                    this.fire(child, type, null, {key: 'Enter', shiftKey: true, bubbles: true}, this.window.KeyboardEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+                it('maps mod to ctrl on non-mac platforms', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    Object.defineProperty(this.window.navigator, 'platform', {value: 'Win32'});
+                    this.handler(apply(div, {[type + '.mod+s']: spy}));
+                    this.fire(div, type, null, {key: 's', metaKey: true}, this.window.KeyboardEvent);
+                    expect(spy.called).false;
+                    this.fire(div, type, null, {key: 's', ctrlKey: true}, this.window.KeyboardEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+                it('maps mod to meta on mac platforms', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    Object.defineProperty(this.window.navigator, 'platform', {value: 'MacIntel'});
+                    this.handler(apply(div, {[type + '.mod+s']: spy}));
+                    this.fire(div, type, null, {key: 's', ctrlKey: true}, this.window.KeyboardEvent);
+                    expect(spy.called).false;
+                    this.fire(div, type, null, {key: 's', metaKey: true}, this.window.KeyboardEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+                it('throws for unknown modifier', function() {
+                    expect(() => {
+                        this.handler(apply(this.div(), {[type + '.ctl+s']: () => {}}));
+                    }).to.throw('Unknown modifier key "ctl" in "ctl+s".');
+                });
+
+            });
+
+        });
+
+        ['mousedown', 'mouseup', 'click', 'dblclick', 'auxclick', 'contextmenu'].forEach(function testKeyboardEvent(type) {
+
+            describe('MouseEvent: ' + type, function() {
+
+                it('handles no key value', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type]: spy}));
+                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
+                    expect(spy.called).true;
+                });
+
+                it('works with single key', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.left']: spy}));
+                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
+                    expect(spy.called).true;
+                });
+
+                it('works with multiple keys', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.right.left']: spy}));
+                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
+                    expect(spy.called).true;
+                });
+
+                it('does not handle non-matching keys', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.right']: spy}));
+                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
+                    expect(spy.called).false;
+                });
+
+                it('works with delegated events', function() {
+                    const parent = this.div();
+                    const child = this.div();
+                    const spy = sinon.spy();
+                    child.setAttribute('test', '');
+                    parent.appendChild(child);
+                    this.handler(apply(parent, {[type + '.left [test]']: spy}));
+                    this.fire(child, type, null, {button: 0, bubbles: true}, this.window.MouseEvent);
+                    expect(spy.called).true;
+                });
+
+                it('works with modifier combo', function() {
+                    const div = this.div();
+                    const spy = sinon.spy();
+                    this.handler(apply(div, {[type + '.alt+left']: spy}));
+                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
+                    expect(spy.called).false;
+                    this.fire(div, type, null, {button: 0, altKey: true}, this.window.MouseEvent);
+                    expect(spy.calledOnce).true;
+                });
+
+            });
+
+        });
+
+        describe('meta filters', function() {
+
+            function pointer(win, type, pointerType, button = 0) {
+                const e = new win.MouseEvent(type, {button, bubbles: true});
+                Object.defineProperty(e, 'pointerType', {value: pointerType});
+                return e;
+            }
+
+            it('matches physical keys by code', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'keydown.ctrl+code-keyz': spy}));
+                this.fire(div, 'keydown', null, {key: 'y', code: 'KeyZ', ctrlKey: true}, this.window.KeyboardEvent);
+                this.fire(div, 'keydown', null, {key: 'z', code: 'KeyY', ctrlKey: true}, this.window.KeyboardEvent);
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].key).equals('y');
+            });
+
+            it('filters repeated keys', function() {
+                const div = this.div();
+                const once = sinon.spy();
+                const repeats = sinon.spy();
+                this.handler(apply(div, {'keydown.enter.norepeat': once, 'keydown.enter.repeat': repeats}));
+                this.fire(div, 'keydown', null, {key: 'Enter'}, this.window.KeyboardEvent);
+                this.fire(div, 'keydown', null, {key: 'Enter', repeat: true}, this.window.KeyboardEvent);
+                this.fire(div, 'keydown', null, {key: 'Enter', repeat: true}, this.window.KeyboardEvent);
+                expect(once.calledOnce).true;
+                expect(repeats.calledTwice).true;
+            });
+
+            it('matches pointer types', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'pointerdown.pen.touch': spy}));
+                div.dispatchEvent(pointer(this.window, 'pointerdown', 'mouse'));
+                div.dispatchEvent(pointer(this.window, 'pointerdown', 'pen'));
+                div.dispatchEvent(pointer(this.window, 'pointerdown', 'touch'));
+                expect(spy.calledTwice).true;
+            });
+
+            it('matches pointer buttons', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'pointerup.right': spy}));
+                div.dispatchEvent(pointer(this.window, 'pointerup', 'mouse', 0));
+                div.dispatchEvent(pointer(this.window, 'pointerup', 'mouse', 2));
+                expect(spy.calledOnce).true;
+            });
+
+            it('matches wheel direction', function() {
+                const div = this.div();
+                const up = sinon.spy();
+                const right = sinon.spy();
+                this.handler(apply(div, {'wheel.up': up, 'wheel.right': right}));
+                this.fire(div, 'wheel', null, {deltaY: -10}, this.window.WheelEvent);
+                this.fire(div, 'wheel', null, {deltaY: 10}, this.window.WheelEvent);
+                this.fire(div, 'wheel', null, {deltaX: 5}, this.window.WheelEvent);
+                expect(up.calledOnce).true;
+                expect(right.calledOnce).true;
+            });
+
+            it('does not handle meta for unknown event types', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'custom.left': spy}));
+                this.fire(div, 'custom');
+                expect(spy.called).false;
+            });
+
+        });
+
+        describe('sequences', function() {
+
+            beforeEach(function useFakeTimers() {
+                this.handler = Events()(this.dispatch);
+                this.clock = sinon.useFakeTimers();
+                this.press = (target, key, init = {}) =>
+                    this.fire(target, 'keydown', null, Object.assign({key, bubbles: true}, init), this.window.KeyboardEvent);
+            });
+
+            afterEach(function restoreTimers() {
+                this.clock.restore();
+            });
+
+            it('runs after the last key in sequence', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'keydown.seq(g,i)': spy}));
+                this.press(div, 'g');
+                expect(spy.called).false;
+                this.press(div, 'i');
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].key).equals('i');
+            });
+
+            it('starts over after a non-matching key', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'keydown.seq(g,i)': spy}));
+                this.press(div, 'g');
+                this.press(div, 'x');
+                this.press(div, 'i');
+                expect(spy.called).false;
+                this.press(div, 'g');
+                this.press(div, 'g');
+                this.press(div, 'i');
+                expect(spy.calledOnce).true;
+            });
+
+            it('starts over after the timeout', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'keydown.seq(g,i)': spy}));
+                this.press(div, 'g');
+                this.clock.tick(1001);
+                this.press(div, 'i');
+                expect(spy.called).false;
+            });
+
+            it('uses sequenceTimeout option', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler = Events({sequenceTimeout: 2000})(this.dispatch);
+                this.handler(apply(div, {'keydown.seq(g,i)': spy}));
+                this.press(div, 'g');
+                this.clock.tick(1500);
+                this.press(div, 'i');
+                expect(spy.calledOnce).true;
+            });
+
+            it('supports modifier combos in steps', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'keydown.seq(ctrl+k,shift+s)': spy}));
+                this.press(div, 'k', {ctrlKey: true});
+                this.press(div, 'Shift', {shiftKey: true});
+                this.press(div, 's', {shiftKey: true});
+                expect(spy.calledOnce).true;
+            });
+
+            it('runs for any matching sequence or key', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {'keydown.seq(g,i).seq(g,d).f1': spy}));
+                this.press(div, 'g');
+                this.press(div, 'd');
+                this.press(div, 'F1');
+                expect(spy.calledTwice).true;
+            });
+
+        });
+
+        describe('window and document events', function() {
+
+            beforeEach(function createTarget() {
+                this.doc = this.window.document;
+                this.target = this.div();
+                this.doc.body.appendChild(this.target);
+            });
+
+            it('handles window events', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'window:resize': spy}));
+                this.fire(this.window, 'resize');
+                expect(spy.calledOnce).true;
+                expect(spy.thisValues[0]).equals(this.target);
+            });
+
+            it('handles document events', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'document:visibilitychange': spy}));
+                this.fire(this.doc, 'visibilitychange');
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].delegateTarget).equals(this.target);
+            });
+
+            it('does not handle target events', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'document:click': spy}));
+                this.target.addEventListener('click', (e) => e.stopPropagation());
+                this.fire(this.target, 'click');
+                expect(spy.called).false;
+            });
+
+            it('supports delegation', function() {
+                const spy = sinon.spy();
+                const link = this.doc.createElement('a');
+                this.doc.body.appendChild(link);
+                this.handler(apply(this.target, {'document:click a': spy}));
+                this.fire(this.doc.body, 'click');
+                this.fire(link, 'click');
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].delegateTarget).equals(link);
+            });
+
+            it('dispatches from the target', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {
+                    'window:online': (e) => e.dispatch({type: 'connected'}),
+                    connected: spy
+                }));
+                this.fire(this.window, 'online');
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].target).equals(this.target);
+            });
+
+            it('removes listeners when target removed', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'window:resize': spy}));
+                this.handler({type: 'engine:targets-removed', payload: [this.target]});
+                this.fire(this.window, 'resize');
+                expect(spy.called).false;
+            });
+
+            it('removes listeners on re-application', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'window:resize': spy, 'window:popstate': spy}));
+                this.handler(apply(this.target, {'window:popstate': spy}));
+                this.fire(this.window, 'resize');
+                expect(spy.called).false;
+                this.fire(this.window, 'popstate');
+                expect(spy.calledOnce).true;
+            });
+
+            it('adds listeners with root strategy', function() {
+                const spy = sinon.spy();
+                this.handler = Events({strategy: 'root'})(this.dispatch);
+                this.handler({type: 'core:bootstrap', payload: {target: this.doc.body}});
+                this.handler(apply(this.target, {'window:storage': spy}));
+                this.fire(this.window, 'storage');
+                expect(spy.calledOnce).true;
+            });
+
+        });
+
+        describe('outside events', function() {
+
+            beforeEach(function createDocument() {
+                this.doc = this.window.document;
+                this.target = this.div();
+                this.inside = this.div();
+                this.other = this.div();
+                this.target.appendChild(this.inside);
+                this.doc.body.appendChild(this.target);
+                this.doc.body.appendChild(this.other);
+            });
+
+            ['click', 'pointerdown', 'focusin'].forEach(function testOutsideEvent(type) {
+
+                it('handles ' + type + ' outside the target', function() {
+                    const spy = sinon.spy();
+                    this.handler(apply(this.target, {[type + '.outside']: spy}));
+                    this.fire(this.inside, type);
+                    this.fire(this.target, type);
+                    expect(spy.called).false;
+                    this.fire(this.other, type);
+                    expect(spy.calledOnce).true;
+                    expect(spy.thisValues[0]).equals(this.target);
+                });
+
+            });
+
+            it('runs when propagation is stopped', function() {
+                const spy = sinon.spy();
+                this.other.addEventListener('click', (e) => e.stopPropagation());
+                this.handler(apply(this.target, {'click.outside': spy}));
+                this.fire(this.other, 'click');
+                expect(spy.calledOnce).true;
+            });
+
+            it('uses composed path', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'click.outside': spy}));
+                const e = new this.window.CustomEvent('click', {bubbles: true});
+                e.composedPath = () => [this.other, this.target, this.doc.body];
+                this.other.dispatchEvent(e);
+                expect(spy.called).false;
+            });
+
+            it('dispatches from the target', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {
+                    'click.outside': (e) => e.dispatch({type: 'close'}),
+                    close: spy
+                }));
+                this.fire(this.other, 'click');
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].target).equals(this.target);
+            });
+
+            it('shares one document listener per event type', function() {
+                const spy = sinon.spy(this.doc, 'addEventListener');
+                const second = this.div();
+                this.doc.body.appendChild(second);
+                this.handler(apply(this.target, {'click.outside': () => {}}));
+                this.handler(apply(second, {'click.outside': () => {}}));
+                expect(spy.withArgs('click').calledOnce).true;
+            });
+
+            it('removes listeners when target removed', function() {
+                const spy = sinon.spy();
+                const removeSpy = sinon.spy(this.doc, 'removeEventListener');
+                this.handler(apply(this.target, {'click.outside': spy}));
+                this.handler({type: 'engine:targets-removed', payload: [this.target]});
+                this.fire(this.other, 'click');
+                expect(spy.called).false;
+                expect(removeSpy.withArgs('click').calledOnce).true;
+            });
+
+            it('removes listeners on re-application', function() {
+                const spy = sinon.spy();
+                const second = sinon.spy();
+                this.handler(apply(this.target, {'click.outside': spy}));
+                this.handler(apply(this.target, {'pointerdown.outside': second}));
+                this.fire(this.other, 'click');
+                this.fire(this.other, 'pointerdown');
+                expect(spy.called).false;
+                expect(second.calledOnce).true;
+            });
+
+        });
+
+        describe('gestures', function() {
+
+            beforeEach(function useFakeTimers() {
+                this.handler = Events()(this.dispatch);
+                this.clock = sinon.useFakeTimers();
+                this.pointer = (target, type, clientX = 0, clientY = 0, pointerType = 'touch') => {
+                    const e = new this.window.MouseEvent(type, {clientX, clientY, bubbles: true});
+                    Object.defineProperty(e, 'pointerType', {value: pointerType});
+                    return target.dispatchEvent(e);
+                };
+                this.gesture = (target, dx = 0, dy = 0, duration = 100) => {
+                    this.pointer(target, 'pointerdown', 100, 100);
+                    this.pointer(target, 'pointermove', 100 + dx, 100 + dy);
+                    this.clock.tick(duration);
+                    this.pointer(target, 'pointerup', 100 + dx, 100 + dy);
+                };
+            });
+
+            afterEach(function restoreTimers() {
+                this.clock.restore();
+            });
+
+            it('fires tap', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {tap: spy}));
+                this.gesture(div);
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].detail.pointerType).equals('touch');
+            });
+
+            it('does not fire tap after moving', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {tap: spy}));
+                this.gesture(div, 20, 0);
+                expect(spy.called).false;
+            });
+
+            it('supports delegation', function() {
+                const parent = this.div();
+                const child = this.div();
+                const spy = sinon.spy();
+                child.className = 'item';
+                parent.appendChild(child);
+                this.handler(apply(parent, {'tap .item': spy}));
+                this.gesture(parent);
+                expect(spy.called).false;
+                this.gesture(child);
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].delegateTarget).equals(child);
+            });
+
+            it('fires doubletap', function() {
+                const div = this.div();
+                const tap = sinon.spy();
+                const doubletap = sinon.spy();
+                this.handler(apply(div, {tap, doubletap}));
+                this.gesture(div);
+                this.clock.tick(100);
+                this.gesture(div);
+                expect(tap.calledTwice).true;
+                expect(doubletap.calledOnce).true;
+                this.clock.tick(500);
+                this.gesture(div);
+                expect(doubletap.calledOnce).true;
+            });
+
+            it('fires longpress instead of tap', function() {
+                const div = this.div();
+                const tap = sinon.spy();
+                const longpress = sinon.spy();
+                this.handler(apply(div, {tap, longpress}));
+                this.pointer(div, 'pointerdown');
+                this.clock.tick(499);
+                expect(longpress.called).false;
+                this.clock.tick(1);
+                expect(longpress.calledOnce).true;
+                this.pointer(div, 'pointerup');
+                expect(tap.called).false;
+            });
+
+            it('does not fire longpress after moving', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {longpress: spy}));
+                this.pointer(div, 'pointerdown', 0, 0);
+                this.pointer(div, 'pointermove', 0, 30);
+                this.clock.tick(1000);
+                expect(spy.called).false;
+            });
+
+            it('fires swipe with direction', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                const left = sinon.spy();
+                this.handler(apply(div, {swipe: spy, 'swipe.left': left}));
+                this.gesture(div, 0, 80);
+                this.gesture(div, -80, 10);
+                expect(spy.calledTwice).true;
+                expect(spy.args[0][0].detail.direction).equals('down');
+                expect(spy.args[1][0].detail.dx).equals(-80);
+                expect(left.calledOnce).true;
+            });
+
+            it('does not fire swipe when too slow', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler(apply(div, {swipe: spy}));
+                this.gesture(div, 80, 0, 600);
+                expect(spy.called).false;
+            });
+
+            it('uses gestures option', function() {
+                const div = this.div();
+                const spy = sinon.spy();
+                this.handler = Events({gestures: {longpressDelay: 1000}})(this.dispatch);
+                this.handler(apply(div, {longpress: spy}));
+                this.pointer(div, 'pointerdown');
+                this.clock.tick(500);
+                expect(spy.called).false;
+                this.clock.tick(500);
+                expect(spy.calledOnce).true;
+            });
+
+            it('only listens to pointer events for gestures', function() {
+                const div = this.div();
+                const spy = sinon.spy(div, 'addEventListener');
+                this.handler(apply(div, {click: () => {}}));
+                expect(spy.calledWith('pointerdown')).false;
+                this.handler(apply(div, {tap: () => {}}));
+                expect(spy.calledWith('pointerdown')).true;
+            });
+
+            it('fires once for nested targets', function() {
+                const outer = this.div();
+                const inner = this.div();
+                const button = this.window.document.createElement('button');
+                const outerTap = sinon.spy();
+                const innerTap = sinon.spy();
+                outer.appendChild(inner);
+                inner.appendChild(button);
+                this.handler(apply(outer, {tap: outerTap}));
+                this.handler(apply(inner, {tap: innerTap}));
+                this.gesture(button);
+                expect(outerTap.calledOnce).true;
+                expect(innerTap.calledOnce).true;
+            });
+
+            it('does not repeat parent gestures from a child recognizer', function() {
+                const outer = this.div();
+                const inner = this.div();
+                const tap = sinon.spy();
+                const swipe = sinon.spy();
+                outer.appendChild(inner);
+                this.handler(apply(outer, {tap, swipe}));
+                this.handler(apply(inner, {swipe: () => {}}));
+                this.gesture(inner);
+                this.gesture(inner, 80, 0);
+                expect(tap.calledOnce).true;
+                expect(swipe.calledOnce).true;
+            });
+
+            it('cleans up when target removed', function() {
+                const div = this.div();
+                const spy = sinon.spy(div, 'removeEventListener');
+                const longpress = sinon.spy();
+                this.handler(apply(div, {longpress}));
+                this.pointer(div, 'pointerdown');
+                this.handler({type: 'engine:targets-removed', payload: [div]});
+                this.clock.tick(1000);
+                expect(spy.calledWith('pointerdown')).true;
+                expect(longpress.called).false;
+            });
+
+        });
+
+        describe('scoped shortcuts', function() {
+
+            beforeEach(function createDocument() {
+                this.body = this.window.document.body;
+                this.target = this.div();
+                this.other = this.div();
+                this.body.appendChild(this.target);
+                this.body.appendChild(this.other);
+                this.press = (target, key) =>
+                    this.fire(target, 'keydown', null, {key, bubbles: true}, this.window.KeyboardEvent);
+            });
+
+            it('handles global keys from anywhere in the document', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'keydown.global.enter': spy}));
+                this.press(this.other, 'Enter');
+                expect(spy.calledOnce).true;
+                expect(spy.thisValues[0]).equals(this.target);
+                expect(spy.args[0][0].delegateTarget).equals(this.target);
+            });
+
+            it('dispatches from the target', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {
+                    'keydown.global.enter': (e) => e.dispatch({type: 'test'}),
+                    test: spy
+                }));
+                this.press(this.other, 'Enter');
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].target).equals(this.target);
+            });
+
+            it('ignores keys typed in editable elements', function() {
+                const spy = sinon.spy();
+                const input = this.window.document.createElement('input');
+                const editor = this.div();
+                const child = this.div();
+                editor.setAttribute('contenteditable', '');
+                editor.appendChild(child);
+                this.body.appendChild(input);
+                this.body.appendChild(editor);
+                this.handler(apply(this.target, {'keydown.global.enter': spy}));
+                this.press(input, 'Enter');
+                this.press(child, 'Enter');
+                expect(spy.called).false;
+            });
+
+            it('handles editable elements with editable flag', function() {
+                const spy = sinon.spy();
+                const input = this.window.document.createElement('input');
+                this.body.appendChild(input);
+                this.handler(apply(this.target, {'keydown.global.editable.escape': spy}));
+                this.press(input, 'Escape');
+                expect(spy.calledOnce).true;
+            });
+
+            it('scopes root keys to the bootstrap root', function() {
+                const spy = sinon.spy();
+                const outside = this.div();
+                this.body.appendChild(outside);
+                this.handler({type: 'core:bootstrap', payload: {target: this.other}});
+                this.handler(apply(this.target, {'keydown.root.enter': spy}));
+                this.press(outside, 'Enter');
+                expect(spy.called).false;
+                this.press(this.other, 'Enter');
+                expect(spy.calledOnce).true;
+            });
+
+            it('removes scoped listeners with the target', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'keydown.global.enter': spy}));
+                this.handler({type: 'engine:targets-removed', payload: [this.target]});
+                this.press(this.other, 'Enter');
+                expect(spy.called).false;
+            });
+
+            it('removes scoped listeners on re-application', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.target, {'keydown.global.enter': spy}));
+                this.handler(apply(this.target, {}));
+                this.press(this.other, 'Enter');
+                expect(spy.called).false;
+            });
+
+            it('adds scoped listeners with root strategy', function() {
+                const spy = sinon.spy();
+                this.handler = Events({strategy: 'root'})(this.dispatch);
+                this.handler({type: 'core:bootstrap', payload: {target: this.body}});
+                this.handler(apply(this.target, {'keydown.global.enter': spy}));
+                this.press(this.other, 'Enter');
+                this.press(this.target, 'Enter');
+                expect(spy.calledTwice).true;
+            });
+
+        });
+
+        describe('form events', function() {
+
+            beforeEach(function createForm() {
+                this.form = this.window.document.createElement('form');
+                this.form.innerHTML = `
+                    <input name="name" value="Ann">
+                    <input name="age" type="number" value="42">
+                    <input name="empty" type="number">
+                    <input name="agree" type="checkbox" checked>
+                    <input name="tags" type="checkbox" value="a" checked>
+                    <input name="tags" type="checkbox" value="b">
+                    <input name="tags" type="checkbox" value="c" checked>
+                    <input name="size" type="radio" value="s">
+                    <input name="size" type="radio" value="m" checked>
+                    <select name="colors" multiple>
+                        <option value="red" selected>Red</option>
+                        <option value="green">Green</option>
+                        <option value="blue" selected>Blue</option>
+                    </select>
+                    <textarea name="notes">hi</textarea>
+                    <input name="secret" value="x" disabled>
+                    <input value="unnamed">
+                    <button name="action" value="save">Save</button>`;
+                this.window.document.body.appendChild(this.form);
+                this.field = (name) => this.form.querySelector(`[name="${name}"]`);
+            });
+
+            it('serializes the form on submit', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.form, {'submit.form': spy}));
+                this.fire(this.form, 'submit');
+                expect(spy.args[0][0].formData).eql({
+                    name: 'Ann',
+                    age: 42,
+                    empty: null,
+                    agree: true,
+                    tags: ['a', 'c'],
+                    size: 'm',
+                    colors: ['red', 'blue'],
+                    notes: 'hi'
+                });
+            });
+
+            it('includes the submit button', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.form, {'submit.form': spy}));
+                const e = new this.window.CustomEvent('submit', {bubbles: true});
+                Object.defineProperty(e, 'submitter', {value: this.field('action')});
+                this.form.dispatchEvent(e);
+                expect(spy.args[0][0].formData.action).equals('save');
+            });
+
+            it('serializes the form of a field', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.form, {'change.form': spy}));
+                this.field('agree').checked = false;
+                this.fire(this.field('agree'), 'change');
+                expect(spy.args[0][0].formData.agree).false;
+            });
+
+            it('sets formData to null outside a form', function() {
+                const spy = sinon.spy();
+                const div = this.div();
+                this.handler(apply(div, {'click.form': spy}));
+                this.fire(div, 'click');
+                expect(spy.args[0][0].formData).null;
+            });
+
+            it('works with prevent and delegates', function() {
+                const spy = sinon.spy();
+                const body = this.window.document.body;
+                this.handler(apply(body, {'submit.form.prevent form': spy}));
+                this.fire(this.form, 'submit');
+                expect(spy.args[0][0].defaultPrevented).true;
+                expect(spy.args[0][0].formData.name).equals('Ann');
+                expect(spy.thisValues[0]).equals(this.form);
+            });
+
+            [
+                ['name', 'Ann'],
+                ['age', 42],
+                ['agree', true],
+                ['tags', ['a', 'c']],
+                ['size', 'm'],
+                ['colors', ['red', 'blue']]
+            ].forEach(function testField([name, value]) {
+
+                it('sets the field for ' + name, function() {
+                    const spy = sinon.spy();
+                    this.handler(apply(this.form, {'change.field': spy}));
+                    this.fire(this.field(name), 'change');
+                    expect(spy.args[0][0].field).eql({name, value});
+                });
+
+            });
+
+            it('sets field to null for other elements', function() {
+                const spy = sinon.spy();
+                this.handler(apply(this.form, {'change.field': spy}));
+                this.fire(this.field('secret'), 'change');
+                this.fire(this.form, 'change');
+                expect(spy.args[0][0].field).null;
+                expect(spy.args[1][0].field).null;
+            });
+
+            it('reads values when the handler runs', function() {
+                const spy = sinon.spy();
+                const clock = sinon.useFakeTimers();
+                this.handler(apply(this.form, {'input.field.debounce-100': spy}));
+                this.field('name').value = 'B';
+                this.fire(this.field('name'), 'input');
+                this.field('name').value = 'Bo';
+                clock.tick(100);
+                clock.restore();
+                expect(spy.args[0][0].field.value).equals('Bo');
+            });
+
+        });
+
+    });
+
+    describe('root strategy', function() {
+
+        beforeEach(function createRoutedHandler() {
+            this.handler = Events({strategy: 'root'})(this.dispatch);
+            this.root = this.div();
+            this.parent = this.div();
+            this.child = this.div();
+            this.parent.appendChild(this.child);
+            this.root.appendChild(this.parent);
+            this.handler({
+                type: 'core:bootstrap',
+                payload: {target: this.root}
+            });
+        });
+
+        it('does not add listeners to targets', function() {
+            const spy = sinon.spy(this.child, 'addEventListener');
+            this.handler(apply(this.child, {click: () => {}}));
+            expect(spy.called).false;
+        });
+
+        it('adds one root listener per event type and phase', function() {
+            const spy = sinon.spy(this.root, 'addEventListener');
+            this.handler(apply(this.child, {click: () => {}}));
+            this.handler(apply(this.parent, {click: () => {}, 'click.capture': () => {}}));
+            expect(spy.withArgs('click').calledTwice).true;
+        });
+
+        it('runs handlers with target context', function() {
+            const spy = sinon.spy();
+            let currentTarget;
+            this.handler(apply(this.parent, {click: spy}, {click: (e) => currentTarget = e.currentTarget}));
+            this.fire(this.child, 'click');
+            expect(spy.calledOnce).true;
+            expect(spy.lastCall.thisValue).equals(this.parent);
+            expect(currentTarget).equals(this.parent);
+        });
+
+        it('runs handlers in bubbling order', function() {
+            const spy1 = sinon.spy();
+            const spy2 = sinon.spy();
+            this.handler(apply(this.parent, {click: spy2}));
+            this.handler(apply(this.child, {click: spy1}));
+            this.fire(this.child, 'click');
+            expect(spy1.calledBefore(spy2)).true;
+        });
+
+        it('runs capture handlers before bubbling handlers', function() {
+            const spy1 = sinon.spy();
+            const spy2 = sinon.spy();
+            this.handler(apply(this.child, {click: spy2}));
+            this.handler(apply(this.parent, {'click.capture': spy1}));
+            this.fire(this.child, 'click');
+            expect(spy1.calledBefore(spy2)).true;
+        });
+
+        it('runs delegated handlers', function() {
+            const spy = sinon.spy();
+            this.child.setAttribute('custom', '');
+            this.handler(apply(this.root, {'click div[custom]': spy}));
+            this.fire(this.child, 'click');
+            expect(spy.lastCall.thisValue).equals(this.child);
+        });
+
+        it('runs delegated non-bubbling handlers', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.parent, {'focus div': spy}));
+            this.fire(this.child, 'focus', null, {bubbles: false});
+            expect(spy.calledOnce).true;
+        });
+
+        it('runs non-bubbling handlers on target', function() {
+            const spy1 = sinon.spy();
+            const spy2 = sinon.spy();
+            this.handler(apply(this.child, {focus: spy1}));
+            this.handler(apply(this.parent, {focus: spy2}));
+            this.fire(this.child, 'focus', null, {bubbles: false});
+            expect(spy1.calledOnce).true;
+            expect(spy2.called).false;
+        });
+
+        it('does not run for stopped bubbled event', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.child, {click: (e) => e.stopPropagation()}));
+            this.handler(apply(this.parent, {click: spy}));
+            this.fire(this.child, 'click');
+            expect(spy.called).false;
+        });
+
+        it('runs remaining handlers on node that stopped propagation', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.child, {click: (e) => e.stopPropagation()}, {click: spy}));
+            this.fire(this.child, 'click');
+            expect(spy.calledOnce).true;
+        });
+
+        it('does not run for immediate stopped event', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.child,
+                {click: (e) => e.stopImmediatePropagation()},
+                {click: spy}
+            ));
+            this.fire(this.child, 'click');
+            expect(spy.called).false;
+        });
+
+        it('does not run bubbling handlers if stopped during capture', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.root, {'click.capture': (e) => e.stopPropagation()}));
+            this.handler(apply(this.child, {click: spy}));
+            this.fire(this.child, 'click');
+            expect(spy.called).false;
+        });
+
+        it('does not run handlers after node removed', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.child, {click: spy}));
+            this.handler({
+                type: 'engine:targets-removed',
+                payload: [this.child]
+            });
+            this.fire(this.child, 'click');
+            expect(spy.called).false;
+        });
+
+        it('dispatches lifecycle events on targets', function() {
+            const spy = sinon.spy();
+            this.handler(apply(this.child, {'amara:add': spy}));
+            expect(spy.calledOnce).true;
+        });
+
+        it('proxies bubbled actions to Amara', function() {
+            const action = {type: 'test'};
+            const receiver = sinon.spy();
+            this.handler(apply(this.child, {click: (e) => e.dispatch(action)}));
+            this.handler(apply(this.parent, {test: receiver}));
+            this.fire(this.child, 'click');
+            expect(receiver.calledOnce).true;
+            expect(this.dispatch.calledWith(action)).true;
+        });
+
+        it('does not proxy stopped actions to Amara', function() {
+            const action = {type: 'test'};
+            let result;
+            this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+            this.handler(apply(this.parent, {test: (e) => e.stopPropagation()}));
+            this.fire(this.child, 'click');
+            expect(this.dispatch.called).false;
+            expect(result.stoppedAt).equals(this.parent);
+        });
+
+        it('adds root listeners for types applied before bootstrap', function() {
+            const spy = sinon.spy();
+            const root = this.div();
+            const child = this.div();
+            root.appendChild(child);
+            this.handler = Events({strategy: 'root'})(this.dispatch);
+            this.handler(apply(child, {click: spy}));
+            this.handler({
+                type: 'core:bootstrap',
+                payload: {target: root}
+            });
+            this.fire(child, 'click');
+            expect(spy.calledOnce).true;
+        });
+
+    });
+
+    describe('options', function() {
+
+        it('uses eventInit for dispatched actions', function() {
+            const parent = this.div();
+            const child = this.div();
+            const spy = sinon.spy();
+            parent.appendChild(child);
+            this.handler = Events({eventInit: {bubbles: false}})(this.dispatch);
+            this.handler(apply(child, {click: (e) => e.dispatch({type: 'test'})}));
+            this.handler(apply(parent, {test: spy}));
+            this.fire(child, 'click');
+            expect(spy.called).false;
+        });
+
+        it('uses lifecyclePrefix for lifecycle events', function() {
+            const div = this.div();
+            const spy1 = sinon.spy();
+            const spy2 = sinon.spy();
+            this.handler = Events({lifecyclePrefix: 'app:'})(this.dispatch);
+            this.handler(apply(div, {'app:add': spy1, 'app:apply': spy1, 'app:remove': spy1, 'amara:add': spy2}));
+            this.handler({
+                type: 'engine:targets-removed',
+                payload: [div]
+            });
+            expect(spy1.calledThrice).true;
+            expect(spy2.called).false;
+        });
+
+        it('does not delegate events with lifecyclePrefix', function() {
+            this.handler = Events({lifecyclePrefix: 'app:'})(this.dispatch);
+            expect(() => {
+                this.handler(apply(this.div(), {'app:add div': () => {}}));
+            }).to.throw('app:* events must not be delegated');
+        });
+
+        it('does not proxy events with lifecyclePrefix to Amara', function() {
+            const root = this.div();
+            const div = this.div();
+            root.appendChild(div);
+            this.handler = Events({lifecyclePrefix: 'app:'})(this.dispatch);
+            this.handler({
+                type: 'core:bootstrap',
+                payload: {target: root}
+            });
+            this.handler(apply(div, {click: (e) => e.dispatch({type: 'app:custom'})}));
+            this.fire(div, 'click');
+            expect(this.dispatch.called).false;
+        });
+
+        it('patches disabled elements by default', function() {
+            const button = this.window.document.createElement('button');
+            const spy = sinon.spy(button, 'removeAttribute');
+            button.setAttribute('disabled', '');
+            this.handler(apply(button, {click: (e) => e.dispatch({type: 'test'})}));
+            this.fire(button, 'click');
+            expect(spy.calledWith('disabled')).true;
+            expect(button.hasAttribute('disabled')).true;
+        });
+
+        it('does not patch disabled elements if patchDisabled is false', function() {
+            const button = this.window.document.createElement('button');
+            const spy = sinon.spy(button, 'removeAttribute');
+            button.setAttribute('disabled', '');
+            this.handler = Events({patchDisabled: false})(this.dispatch);
+            this.handler(apply(button, {click: (e) => e.dispatch({type: 'test'})}));
+            this.fire(button, 'click');
+            expect(spy.called).false;
+        });
+
+        it('uses aliases for key values', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler = Events({aliases: {esc: 'Escape', back: 3}})(this.dispatch);
+            this.handler(apply(div, {'keydown.esc': spy, 'mousedown.back': spy}));
+            this.fire(div, 'keydown', null, {key: 'Escape'}, this.window.KeyboardEvent);
+            this.fire(div, 'mousedown', null, {button: 3}, this.window.MouseEvent);
+            expect(spy.calledTwice).true;
+        });
+
+        it('uses fixes for event values', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler = Events({fixes: {esc: 'escape'}})(this.dispatch);
+            this.handler(apply(div, {'keydown.escape': spy}));
+            this.fire(div, 'keydown', null, {key: 'Esc'}, this.window.KeyboardEvent);
+            expect(spy.calledOnce).true;
+        });
+
+        it('uses filters for event meta', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            const filter = sinon.spy((e, value) => e.detail.level === value);
+            this.handler = Events({filters: {custom: filter}})(this.dispatch);
+            this.handler(apply(div, {'custom.high': spy}));
+            this.fire(div, 'custom', {level: 'low'});
+            this.fire(div, 'custom', {level: 'high'});
+            expect(spy.calledOnce).true;
+            expect(filter.args[0][1]).equals('high');
+        });
+
+        it('replaces built-in filters', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler = Events({filters: {click: (e, value) => value === 'any'}})(this.dispatch);
+            this.handler(apply(div, {'click.any': spy}));
+            this.fire(div, 'click', null, {button: 2}, this.window.MouseEvent);
+            expect(spy.calledOnce).true;
+        });
+
+        it('uses window for non-global environments', function() {
+            const win = this.window;
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler = Events({window: win})(this.dispatch);
+            this.handler(apply(div, {click: (e) => e.dispatch({type: 'test'}), test: spy}));
+            global.window = undefined;
+            try {
+                this.fire(div, 'click');
+            } finally {
+                global.window = win;
+            }
+            expect(spy.calledOnce).true;
+        });
+
+        it('uses CustomEvent constructor for dispatched actions', function() {
+            const div = this.div();
+            const win = this.window;
+            const CustomEvent = sinon.spy(function TestEvent(type, init) {
+                return new win.CustomEvent(type, init);
+            });
+            this.handler = Events({CustomEvent})(this.dispatch);
+            this.handler(apply(div, {click: (e) => e.dispatch({type: 'test'})}));
+            this.fire(div, 'click');
+            expect(CustomEvent.calledWith('test')).true;
+        });
+
+    });
+
+    describe('CustomEvent.dispatch', function() {
+
+        it('exists', function() {
+            const div = this.div();
+            const dispatcher = (e) =>
+                expect(e.dispatch).is.a('function');
+            this.handler(apply(div, {click: dispatcher}));
+            this.fire(div, 'click');
+        });
+
+        it('passed to handler for action type', function() {
+            const div = this.div();
+            const action = {type: 'test'};
+            const dispatcher = (e) => e.dispatch(action);
+            const receiver = (e) => expect(e.detail).exist;
+            this.handler(apply(div, {click: dispatcher}, {test: receiver}));
+            this.fire(div, 'click');
+        });
+
+        it('not passed to non-matching handlers', function() {
+            const div = this.div();
+            const action = {type: 'test'};
+            const dispatcher = (e) => e.dispatch(action);
+            const receiver = () => expect.fail();
+            this.handler(apply(div, {click: dispatcher}, {custom: receiver}));
+            this.fire(div, 'click');
+        });
+
+        it('handler provided action as `details`', function() {
+            const div = this.div();
+            const action = {type: 'test'};
+            const dispatcher = (e) => e.dispatch(action);
+            const receiver = (e) => expect(e.detail).equals(action);
+            this.handler(apply(div, {click: dispatcher}, {test: receiver}));
+            this.fire(div, 'click');
+        });
+
+        it('proxies bubbled event to Amara', function() {
+            const div = this.div();
+            const target = this.div();
+            const action = {type: 'test'};
+            const dispatcher = (e) => e.dispatch(action);
+            target.appendChild(div);
+            this.handler({
+                type: 'core:bootstrap',
+                payload: {target}
+            })
+            this.handler(apply(div, {click: dispatcher}));
+            this.fire(div, 'click');
+            expect(this.dispatch.calledWith(action)).true;
+        });
+
+        it('does not proxy stopped events to Amara', function() {
+            const div = this.div();
+            const target = this.div();
+            const action = {type: 'test'};
+            const dispatcher = (e) => e.dispatch(action);
+            const receiver = (e) => e.stopPropagation();
+            target.appendChild(div);
+            this.handler({
+                type: 'core:bootstrap',
+                payload: {target}
+            })
+            this.handler(apply(div, {click: dispatcher}, {test: receiver}));
+            this.fire(div, 'click');
+            expect(this.dispatch.called).false;
+        });
+
+        describe('result', function() {
+
+            beforeEach(function bootstrap() {
+                this.root = this.div();
+                this.parent = this.div();
+                this.child = this.div();
+                this.parent.appendChild(this.child);
+                this.root.appendChild(this.parent);
+                this.handler({
+                    type: 'core:bootstrap',
+                    payload: {target: this.root}
+                });
+            });
+
+            it('reports delivered action', function() {
+                const action = {type: 'test'};
+                let result;
+                this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+                this.fire(this.child, 'click');
+                expect(result).eql({
+                    action,
+                    delivered: true,
+                    defaultPrevented: false,
+                    stoppedAt: null
+                });
+            });
+
+            it('reports element that stopped action', function() {
+                const action = {type: 'test'};
+                let result;
+                this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+                this.handler(apply(this.parent, {test: (e) => e.stopPropagation()}));
+                this.fire(this.child, 'click');
+                expect(result.delivered).false;
+                expect(result.stoppedAt).equals(this.parent);
+            });
+
+            it('reports element that immediately stopped action', function() {
+                const action = {type: 'test'};
+                let result;
+                this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+                this.handler(apply(this.parent, {test: (e) => e.stopImmediatePropagation()}));
+                this.fire(this.child, 'click');
+                expect(result.delivered).false;
+                expect(result.stoppedAt).equals(this.parent);
+            });
+
+            it('reports prevented action', function() {
+                const action = {type: 'test'};
+                let result;
+                this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+                this.handler(apply(this.parent, {test: (e) => e.preventDefault()}));
+                this.fire(this.child, 'click');
+                expect(result.delivered).true;
+                expect(result.defaultPrevented).true;
+            });
+
+            it('reports undelivered action without bootstrap root', function() {
+                const div = this.div();
+                let result;
+                this.handler(apply(div, {click: (e) => result = e.dispatch({type: 'test'})}));
+                this.fire(div, 'click');
+                expect(result.delivered).false;
+                expect(result.stoppedAt).null;
+            });
+
+            it('allows ancestors to replace action', function() {
+                const action = {type: 'test'};
+                const replacement = {type: 'test', payload: 123};
+                let result;
+                this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+                this.handler(apply(this.parent, {test: (e) => e.detail = replacement}));
+                this.fire(this.child, 'click');
+                expect(this.dispatch.calledWith(replacement)).true;
+                expect(this.dispatch.calledWith(action)).false;
+                expect(result.action).equals(replacement);
+            });
+
+        });
+
+        describe('modification', function() {
+
+            beforeEach(function bootstrap() {
+                this.root = this.div();
+                this.parent = this.div();
+                this.child = this.div();
+                this.parent.appendChild(this.child);
+                this.root.appendChild(this.parent);
+                this.handler({
+                    type: 'core:bootstrap',
+                    payload: {target: this.root}
+                });
+            });
+
+            it('replaceAction dispatches replacement to Amara', function() {
+                const action = {type: 'test'};
+                const replacement = {type: 'test', payload: 123};
+                this.handler(apply(this.child, {click: (e) => e.dispatch(action)}));
+                this.handler(apply(this.parent, {test: (e) => e.replaceAction(replacement)}));
+                this.fire(this.child, 'click');
+                expect(this.dispatch.calledOnce).true;
+                expect(this.dispatch.calledWith(replacement)).true;
+            });
+
+            it('replaceAction is visible to later ancestors', function() {
+                const replacement = {type: 'test', payload: 123};
+                const receiver = sinon.spy();
+                this.handler(apply(this.child, {
+                    click: (e) => e.dispatch({type: 'test'}),
+                    test: (e) => e.replaceAction(replacement)
+                }));
+                this.handler(apply(this.parent, {test: (e) => receiver(e.detail)}));
+                this.fire(this.child, 'click');
+                expect(receiver.calledWith(replacement)).true;
+            });
+
+            it('mergeMeta adds meta to action', function() {
+                const action = {type: 'test', payload: 1, meta: {a: 1}};
+                this.handler(apply(this.child, {
+                    click: (e) => e.dispatch(action),
+                    test: (e) => e.mergeMeta({id: 'item-1'})
+                }));
+                this.handler(apply(this.parent, {test: (e) => e.mergeMeta({form: 'profile'})}));
+                this.fire(this.child, 'click');
+                expect(this.dispatch.args[0][0]).eql({
+                    type: 'test',
+                    payload: 1,
+                    meta: {a: 1, id: 'item-1', form: 'profile'}
+                });
+            });
+
+            it('mergeMeta does not modify original action', function() {
+                const action = {type: 'test'};
+                let result;
+                this.handler(apply(this.child, {click: (e) => result = e.dispatch(action)}));
+                this.handler(apply(this.parent, {test: (e) => e.mergeMeta({id: 1})}));
+                this.fire(this.child, 'click');
+                expect(action).eql({type: 'test'});
+                expect(result.action).eql({type: 'test', meta: {id: 1}});
+            });
+
+        });
+
+        it('throws error if invoked asynchronously', function(done) {
+            const div = this.div();
+            const action = {type: 'test'};
+            const dispatcher = (e) => {
+                const stub = sinon.spy(e, 'dispatch');
+                setTimeout(() => {
+                    try {
+                        e.dispatch(action);
+                    } finally {
+                        expect(stub.threw()).true;
+                        done();
+                    }
+                });
+            };
+            this.handler(apply(div, {click: dispatcher}));
+            this.fire(div, 'click');
+        });
+
+    });
+
+    describe('CustomEvent.dispatchLater', function() {
+
+        beforeEach(function bootstrap() {
+            this.root = this.div();
+            this.handler({
+                type: 'core:bootstrap',
+                payload: {target: this.root}
+            });
+        });
+
+        it('exists', function() {
+            const div = this.div();
+            const dispatcher = (e) =>
+                expect(e.dispatchLater).is.a('function');
+            this.handler(apply(div, {click: dispatcher}));
+            this.fire(div, 'click');
+        });
+
+        it('proxies bubbled event to Amara after handler returns', function() {
+            const div = this.div();
+            const action = {type: 'test'};
+            let later;
+            this.root.appendChild(div);
+            this.handler(apply(div, {click: (e) => later = e.dispatchLater}));
+            this.fire(div, 'click');
+            expect(this.dispatch.called).false;
+            later(action);
+            expect(this.dispatch.calledWith(action)).true;
+        });
+
+        it('bubbles through ancestors', function() {
+            const div = this.div();
+            const parent = this.div();
+            const action = {type: 'test'};
+            const receiver = sinon.spy((e) => e.stopPropagation());
+            let later;
+            parent.appendChild(div);
+            this.root.appendChild(parent);
+            this.handler(apply(div, {click: (e) => later = e.dispatchLater}));
+            this.handler(apply(parent, {test: receiver}));
+            this.fire(div, 'click');
+            later(action);
+            expect(receiver.calledOnce).true;
+            expect(this.dispatch.called).false;
+        });
+
+        it('does not allow e.dispatch afterwards', function() {
+            const div = this.div();
+            let later, dispatch;
+            this.root.appendChild(div);
+            this.handler(apply(div, {click: (e) => {
+                later = e.dispatchLater;
+                dispatch = e.dispatch;
+            }}));
+            this.fire(div, 'click');
+            later({type: 'test'});
+            expect(() => dispatch({type: 'test'})).to.throw('Event actions must be dispatched synchronously.');
+        });
+
+        it('dispatches directly to Amara if target removed', function() {
+            const div = this.div();
+            const action = {type: 'test'};
+            const stub = sinon.stub(console, 'warn');
+            const receiver = sinon.spy();
+            let later;
+            this.root.appendChild(div);
+            this.handler(apply(div, {click: (e) => later = e.dispatchLater, test: receiver}));
+            this.fire(div, 'click');
+            this.handler({
+                type: 'engine:targets-removed',
+                payload: [div]
+            });
+            try {
+                later(action);
+            } finally {
+                stub.restore();
+            }
+            expect(receiver.called).false;
+            expect(this.dispatch.calledWith(action)).true;
+            expect(stub.calledOnce).true;
+        });
+
+    });
+
+    describe('errors', function() {
+
+        it('reports handler errors to Amara', function() {
+            const div = this.div();
+            const error = new Error('test');
+            this.handler(apply(div, {'click.left': () => { throw error; }}));
+            this.fire(div, 'click', null, {button: 0}, this.window.MouseEvent);
+            expect(this.dispatch.calledOnce).true;
+            expect(this.dispatch.args[0][0]).deep.equals({
+                type: 'events:error',
+                payload: {error, target: div, key: 'click.left', event: this.e}
+            });
+        });
+
+        it('does not allow e.dispatch after handler throws', function() {
+            const div = this.div();
+            let dispatch;
+            this.handler(apply(div, {click: (e) => {
+                dispatch = e.dispatch;
+                throw new Error('test');
+            }}));
+            this.fire(div, 'click');
+            expect(() => dispatch({type: 'test'})).to.throw('Event actions must be dispatched synchronously.');
+        });
+
+        it('allows e.dispatch after nested handlers', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {
+                click: (e) => {
+                    e.dispatch({type: 'first'});
+                    e.dispatch({type: 'second'});
+                },
+                first: () => {},
+                second: spy
+            }));
+            this.fire(div, 'click');
+            expect(spy.calledOnce).true;
+        });
+
+        it('finishes applying when lifecycle handler throws', function() {
+            const div = this.div();
+            const apply1 = sinon.spy();
+            const click = sinon.spy();
+            this.handler(apply(div, {
+                'amara:add': () => { throw new Error('test'); },
+                'amara:apply': apply1,
+                click
+            }));
+            this.fire(div, 'click');
+            expect(apply1.calledOnce).true;
+            expect(click.calledOnce).true;
+            expect(this.dispatch.args[0][0].payload.key).equals('amara:add');
+        });
+
+        it('consumes once when handler throws', function() {
+            const div = this.div();
+            const spy = sinon.spy(() => { throw new Error('test'); });
+            this.handler(apply(div, {'click.once': spy}));
+            this.fire(div, 'click');
+            this.fire(div, 'click');
+            expect(spy.calledOnce).true;
+        });
+
+        it('rethrows errors with rethrow option', function() {
+            const div = this.div();
+            const error = new Error('test');
+            const spy = sinon.spy();
+            this.handler = Events({rethrow: true})(this.dispatch);
+            this.window.addEventListener('error', (e) => {
+                spy(e.error);
+                e.preventDefault();
             });
+            this.handler(apply(div, {click: () => { throw error; }}));
+            this.fire(div, 'click');
+            expect(spy.calledWith(error)).true;
+            expect(this.dispatch.args[0][0].type).equals('events:error');
+        });
+
+    });
 
+    describe('dev mode', function() {
+
+        beforeEach(function stubWarn() {
+            this.handler = Events({dev: true})(this.dispatch);
+            this.warn = sinon.stub(console, 'warn');
+            this.target = this.div();
+            this.target.id = 'menu';
+            this.target.className = 'open  dark';
+            this.warnings = (...maps) => {
+                try {
+                    this.handler(apply(this.target, ...maps));
+                } finally {
+                    this.warn.restore();
+                }
+                return this.warn.args.map((args) => args[0]);
+            };
         });
 
-        ['mousedown', 'mouseup'].forEach(function testKeyboardEvent(type) {
+        it('validates keys where process is not defined', function() {
+            const context = {module: {exports: {}}, window: this.window, console};
+            vm.runInNewContext(fs.readFileSync(require.resolve('../dist/amara-plugin-events'), 'utf8'), context);
+            expect(context.process).undefined;
+            this.handler = context.module.exports({dev: true})(this.dispatch);
+            expect(this.warnings({'kedown.enter': () => {}})).length(1);
+        });
 
-            describe('MouseEvent: ' + type, function() {
+        it('does not warn for valid keys', function() {
+            expect(this.warnings({
+                'keydown.enter': () => {},
+                'click.prevent a': true,
+                'focusin.outside': () => {},
+                'swipe.left': () => {},
+                'window:resize': () => {},
+                'amara:apply': () => {},
+                'todo:add': () => {},
+                test: () => {}
+            })).deep.equals([]);
+        });
 
-                it('handles no key value', function() {
-                    const div = this.div();
-                    const spy = sinon.spy();
-                    this.handler(apply(div, {[type]: spy}));
-                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
-                    expect(spy.called).true;
-                });
+        it('does not validate without dev option', function() {
+            this.handler = Events()(this.dispatch);
+            expect(this.warnings({'kedown.enter': () => {}})).to.be.empty;
+        });
 
-                it('works with single key', function() {
-                    const div = this.div();
-                    const spy = sinon.spy();
-                    this.handler(apply(div, {[type + '.left']: spy}));
-                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
-                    expect(spy.called).true;
-                });
+        it('warns on likely typos of event names', function() {
+            const warnings = this.warnings({'kedown.enter': () => {}});
+            expect(warnings).deep.equals(['Event key "kedown.enter" in event map 1 applied to <div#menu.open.dark>: ' +
+                '"kedown" is not a known event; did you mean "keydown"?']);
+        });
 
-                it('works with multiple keys', function() {
-                    const div = this.div();
-                    const spy = sinon.spy();
-                    this.handler(apply(div, {[type + '.right.left']: spy}));
-                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
-                    expect(spy.called).true;
-                });
+        it('warns on unknown lifecycle events', function() {
+            const warnings = this.warnings({'amara:ad': () => {}});
+            expect(warnings[0]).contains('"amara:ad" is not a known lifecycle event.');
+        });
 
-                it('does not handle non-matching keys', function() {
-                    const div = this.div();
-                    const spy = sinon.spy();
-                    this.handler(apply(div, {[type + '.right']: spy}));
-                    this.fire(div, type, null, {button: 0}, this.window.MouseEvent);
-                    expect(spy.called).false;
-                });
+        it('warns on invalid selectors', function() {
+            const warnings = this.warnings({}, {'click a[href, li': () => {}});
+            expect(warnings[0]).contains('in event map 2');
+            expect(warnings[0]).contains('"a[href" is not a valid selector.');
+        });
 
-                it('works with delegated events', function() {
-                    const parent = this.div();
-                    const child = this.div();
-                    const spy = sinon.spy();
-                    child.setAttribute('test', '');
-                    parent.appendChild(child);
-                    this.handler(apply(parent, {[type + '.left [test]']: spy}));
-                    this.fire(child, type, null, {button: 0, bubbles: true}, this.window.MouseEvent);
-                    expect(spy.called).true;
-                });
+        it('warns on unsupported meta', function() {
+            const warnings = this.warnings({'input.enter': () => {}});
+            expect(warnings[0]).contains('"input" events do not support key, button or other meta values');
+        });
 
-            });
+        it('warns on invalid handlers', function() {
+            const warnings = this.warnings({click: 'onClick'});
+            expect(warnings[0]).contains('The handler must be a function (or true), but got string.');
+        });
+
+        it('includes target and map in warning', function() {
+            const map = {'clik': () => {}};
+            this.warnings(map);
+            expect(this.warn.args[0][1]).deep.equals({target: this.target, map});
+        });
 
+        it('only validates keys when first parsed', function() {
+            const map = {'kedown': () => {}};
+            this.warnings(map);
+            this.warn = sinon.stub(console, 'warn');
+            expect(this.warnings(map)).to.be.empty;
+        });
+
+        it('adds source to parse errors', function() {
+            this.warn.restore();
+            expect(() => this.handler(apply(this.target, {'keydown.ctl+s': () => {}})))
+                .to.throw('Unknown modifier key "ctl" in "ctl+s". ' +
+                    '(event key "keydown.ctl+s" in event map 1 applied to <div#menu.open.dark>)');
         });
 
     });
 
-    describe('CustomEvent.dispatch', function() {
+    describe('inspect', function() {
 
-        it('exists', function() {
+        it('returns no entries for unknown targets', function() {
+            expect(Events.inspect(this.div())).deep.equals([]);
+        });
+
+        it('returns entries for each key', function() {
             const div = this.div();
-            const dispatcher = (e) =>
-                expect(e.dispatch).is.a('function');
-            this.handler(apply(div, {click: dispatcher}));
-            this.fire(div, 'click');
+            const onKey = () => {};
+            const map = {'keydown.ctrl+s.prevent.priority-2 .editor, textarea': onKey};
+            this.handler(apply(div, {click: () => {}}, map));
+            const entries = Events.inspect(div);
+            expect(entries.length).equals(2);
+            expect(entries[1]).deep.equals({
+                key: 'keydown.ctrl+s.prevent.priority-2 .editor, textarea',
+                event: 'keydown',
+                scope: null,
+                delegates: ['.editor', 'textarea'],
+                flags: ['prevent', 'priority-2'],
+                meta: [{value: 's', modifiers: ['ctrl']}],
+                sequences: [],
+                options: {capture: false, passive: false},
+                priority: 2,
+                handler: onKey,
+                source: {map, index: 1},
+                done: false
+            });
         });
 
-        it('passed to handler for action type', function() {
+        it('lists entries from every plugin instance', function() {
             const div = this.div();
-            const action = {type: 'test'};
-            const dispatcher = (e) => e.dispatch(action);
-            const receiver = (e) => expect(e.detail).exist;
-            this.handler(apply(div, {click: dispatcher}, {test: receiver}));
-            this.fire(div, 'click');
+            Events()(this.dispatch)(apply(div, {'window:resize': () => {}}));
+            this.handler(apply(div, {click: () => {}}));
+            expect(Events.inspect(div).map((entry) => entry.key)).deep.equals(['window:resize', 'click']);
         });
 
-        it('not passed to non-matching handlers', function() {
+        it('reflects re-application', function() {
             const div = this.div();
-            const action = {type: 'test'};
-            const dispatcher = (e) => e.dispatch(action);
-            const receiver = () => expect.fail();
-            this.handler(apply(div, {click: dispatcher}, {custom: receiver}));
+            const map = {click: () => {}};
+            this.handler(apply(div, {click: () => {}, focus: () => {}}));
+            this.handler(apply(div, map));
+            const entries = Events.inspect(div);
+            expect(entries.length).equals(1);
+            expect(entries[0].source.map).equals(map);
+        });
+
+        it('reports used once handlers', function() {
+            const div = this.div();
+            this.handler(apply(div, {'click.once': () => {}}));
             this.fire(div, 'click');
+            expect(Events.inspect(div)[0].done).true;
         });
 
-        it('handler provided action as `details`', function() {
+        it('returns no entries for removed targets', function() {
             const div = this.div();
-            const action = {type: 'test'};
-            const dispatcher = (e) => e.dispatch(action);
-            const receiver = (e) => expect(e.detail).equals(action);
-            this.handler(apply(div, {click: dispatcher}, {test: receiver}));
+            this.handler(apply(div, {click: () => {}}));
+            this.handler({type: 'engine:targets-removed', payload: [div]});
+            expect(Events.inspect(div)).deep.equals([]);
+        });
+
+    });
+
+    describe('debug mode', function() {
+
+        beforeEach(function stubLog() {
+            this.log = sinon.stub(console, 'log');
+            this.messages = () => this.log.args.map((args) => args[0]);
+        });
+
+        afterEach(function restoreLog() {
+            this.log.restore();
+        });
+
+        it('does not log by default', function() {
+            const div = this.div();
+            this.handler(apply(div, {click: () => {}}));
             this.fire(div, 'click');
+            expect(this.log.called).false;
         });
 
-        it('proxies bubbled event to Amara', function() {
+        it('logs handler invocations', function() {
             const div = this.div();
-            const target = this.div();
-            const action = {type: 'test'};
-            const dispatcher = (e) => e.dispatch(action);
-            target.appendChild(div);
-            this.handler({
-                type: 'core:bootstrap',
-                payload: {target}
-            })
-            this.handler(apply(div, {click: dispatcher}));
+            const handler = () => {};
+            div.id = 'test';
+            this.handler = Events({debug: true})(this.dispatch);
+            this.handler(apply(div, {click: handler}));
             this.fire(div, 'click');
-            expect(this.dispatch.calledWith(action)).true;
+            expect(this.messages()).deep.equals(['[events] "click" on <div#test> handling click']);
+            expect(this.log.args[0][1]).deep.equals({event: this.e, delegateTarget: div, handler});
         });
 
-        it('does not proxy stopped events to Amara', function() {
+        it('logs rejections', function() {
             const div = this.div();
-            const target = this.div();
-            const action = {type: 'test'};
-            const dispatcher = (e) => e.dispatch(action);
-            const receiver = (e) => e.stopPropagation();
-            target.appendChild(div);
-            this.handler({
-                type: 'core:bootstrap',
-                payload: {target}
-            })
-            this.handler(apply(div, {click: dispatcher}, {test: receiver}));
+            this.handler = Events({debug: true})(this.dispatch);
+            this.handler(apply(div, {'click button': () => {}, 'keydown.enter': () => {}}));
             this.fire(div, 'click');
-            expect(this.dispatch.called).false;
+            this.fire(div, 'keydown', null, {key: 'Escape'}, this.window.KeyboardEvent);
+            expect(this.messages()).deep.equals([
+                '[events] "click button" on <div> ignored click: no element matches the delegate selectors',
+                '[events] "keydown.enter" on <div> ignored keydown: no meta value matches'
+            ]);
         });
 
-        it('throws error if invoked asynchronously', function(done) {
+        it('toggles with events:debug action', function() {
             const div = this.div();
-            const action = {type: 'test'};
-            const dispatcher = (e) => {
-                const stub = sinon.spy(e, 'dispatch');
-                setTimeout(() => {
-                    try {
-                        e.dispatch(action);
-                    } finally {
-                        expect(stub.threw()).true;
-                        done();
-                    }
-                });
-            };
-            this.handler(apply(div, {click: dispatcher}));
+            this.handler(apply(div, {click: () => {}}));
+            this.handler({type: 'events:debug', payload: true});
+            this.fire(div, 'click');
+            this.handler({type: 'events:debug', payload: false});
             this.fire(div, 'click');
+            expect(this.log.calledOnce).true;
         });
 
     });
@@ -568,4 +2717,318 @@ describe('Events', function() {
 
     });
 
+    describe('observer events', function() {
+
+        beforeEach(function createObservers() {
+            this.handler = Events()(this.dispatch);
+            const observers = this.observers = {};
+            function createObserver(name) {
+                return function Observer(callback, init) {
+                    observers[name] = this;
+                    this.callback = callback;
+                    this.init = init;
+                    this.observe = sinon.spy();
+                    this.unobserve = sinon.spy();
+                };
+            }
+            this.window.IntersectionObserver = createObserver('intersection');
+            this.window.ResizeObserver = createObserver('resize');
+            this.intersect = (target, isIntersecting, intersectionRatio = isIntersecting ? 1 : 0) =>
+                this.observers.intersection.callback([{target, isIntersecting, intersectionRatio}]);
+        });
+
+        it('throws if selector provided', function() {
+            expect(() => {
+                this.handler(apply(this.div(), {'amara:visible div': () => {}}));
+            }).to.throw('amara:* events must not be delegated');
+        });
+
+        it('creates observers on demand', function() {
+            const div = this.div();
+            this.handler(apply(div, {click: () => {}}));
+            expect(this.observers).to.be.empty;
+            this.handler(apply(div, {'amara:visible': () => {}}));
+            expect(this.observers.intersection.observe.calledWith(div)).true;
+            expect(this.observers.resize).undefined;
+        });
+
+        it('shares observers between targets', function() {
+            const div1 = this.div();
+            const div2 = this.div();
+            const observer = sinon.spy(this.window, 'ResizeObserver');
+            this.handler(apply(div1, {'amara:resize': () => {}}));
+            this.handler(apply(div2, {'amara:resize': () => {}}));
+            expect(observer.calledOnce).true;
+            expect(this.observers.resize.observe.calledTwice).true;
+        });
+
+        it('fires visible and hidden when visibility changes', function() {
+            const div = this.div();
+            const visible = sinon.spy();
+            const hidden = sinon.spy();
+            this.handler(apply(div, {'amara:visible': visible, 'amara:hidden': hidden}));
+            this.intersect(div, false);
+            expect(hidden.called).false;
+            this.intersect(div, true);
+            this.intersect(div, true);
+            expect(visible.calledOnce).true;
+            expect(visible.args[0][0].detail.entry.target).equals(div);
+            this.intersect(div, false);
+            expect(hidden.calledOnce).true;
+        });
+
+        it('uses intersection option', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler = Events({intersection: {threshold: 0.5, rootMargin: '100px'}})(this.dispatch);
+            this.handler(apply(div, {'amara:visible': spy}));
+            expect(this.observers.intersection.init).deep.equals({threshold: 0.5, rootMargin: '100px'});
+            this.intersect(div, true, 0.25);
+            expect(spy.called).false;
+            this.intersect(div, true, 0.5);
+            expect(spy.calledOnce).true;
+        });
+
+        it('fires resize with content rect', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            const contentRect = {width: 100, height: 50};
+            this.handler(apply(div, {'amara:resize': spy}));
+            this.observers.resize.callback([{target: div, contentRect}]);
+            expect(spy.calledOnce).true;
+            expect(spy.args[0][0].detail.contentRect).equals(contentRect);
+        });
+
+        it('does not bubble', function() {
+            const parent = this.div();
+            const child = this.div();
+            const spy = sinon.spy();
+            parent.appendChild(child);
+            this.handler(apply(parent, {'amara:resize': spy}));
+            this.handler(apply(child, {'amara:resize': () => {}}));
+            this.observers.resize.callback([{target: child, contentRect: {}}]);
+            expect(spy.called).false;
+        });
+
+        it('can dispatch actions', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:visible': (e) => e.dispatch({type: 'load'}), load: spy}));
+            this.intersect(div, true);
+            expect(spy.calledOnce).true;
+            expect(spy.args[0][0].detail).deep.equals({type: 'load'});
+        });
+
+        it('unobserves when handlers removed', function() {
+            const div = this.div();
+            this.handler(apply(div, {'amara:resize': () => {}}));
+            this.handler(apply(div, {click: () => {}}));
+            expect(this.observers.resize.unobserve.calledWith(div)).true;
+        });
+
+        it('unobserves when target removed', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:visible': spy}));
+            this.handler({type: 'engine:targets-removed', payload: [div]});
+            expect(this.observers.intersection.unobserve.calledWith(div)).true;
+            this.intersect(div, true);
+            expect(spy.called).false;
+        });
+
+        it('warns when observer is not supported', function() {
+            const stub = sinon.stub(console, 'warn');
+            delete this.window.ResizeObserver;
+            try {
+                this.handler(apply(this.div(), {'amara:resize': () => {}}));
+                this.handler(apply(this.div(), {'amara:resize': () => {}}));
+            } finally {
+                stub.restore();
+            }
+            expect(stub.calledOnce).true;
+            expect(stub.args[0][0]).contains('ResizeObserver');
+        });
+
+    });
+
+    describe('mutation events', function() {
+
+        beforeEach(function createMutationObserver() {
+            const observers = this.observers = [];
+            this.handler = Events()(this.dispatch);
+            this.window.MutationObserver = function MutationObserver(callback) {
+                observers.push(this);
+                this.callback = callback;
+                this.records = [];
+                this.observe = sinon.spy();
+                this.disconnect = sinon.spy();
+                this.takeRecords = () => this.records.splice(0);
+            };
+            this.attribute = (target, attributeName) => ({type: 'attributes', target, attributeName});
+        });
+
+        it('throws if selector provided', function() {
+            expect(() => {
+                this.handler(apply(this.div(), {'amara:children div': () => {}}));
+            }).to.throw('amara:* events must not be delegated');
+        });
+
+        it('creates one observer per target on demand', function() {
+            const div1 = this.div();
+            const div2 = this.div();
+            this.handler(apply(div1, {click: () => {}}));
+            expect(this.observers).to.be.empty;
+            this.handler(apply(div1, {'amara:attribute': () => {}}));
+            this.handler(apply(div2, {'amara:children': () => {}}));
+            expect(this.observers.length).equals(2);
+            expect(this.observers[0].observe.calledWith(div1, {
+                attributes: true,
+                attributeOldValue: true,
+                childList: false
+            })).true;
+            expect(this.observers[1].observe.calledWith(div2, {
+                attributes: false,
+                attributeOldValue: false,
+                childList: true
+            })).true;
+        });
+
+        it('fires attribute with mutation records', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            const record = this.attribute(div, 'title');
+            this.handler(apply(div, {'amara:attribute': spy}));
+            this.observers[0].callback([record]);
+            expect(spy.calledOnce).true;
+            expect(spy.args[0][0].detail.records).deep.equals([record]);
+        });
+
+        it('filters attribute by name', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:attribute.aria-expanded.aria-hidden': spy}));
+            this.observers[0].callback([this.attribute(div, 'title')]);
+            expect(spy.called).false;
+            this.observers[0].callback([this.attribute(div, 'aria-expanded')]);
+            expect(spy.calledOnce).true;
+        });
+
+        it('keeps the case of attribute names', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:attribute.viewBox': spy}));
+            this.observers[0].callback([this.attribute(div, 'viewbox')]);
+            expect(spy.called).false;
+            this.observers[0].callback([this.attribute(div, 'viewBox')]);
+            expect(spy.calledOnce).true;
+        });
+
+        it('does not read attribute names as flags', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:attribute.form.capture': spy}));
+            this.observers[0].callback([this.attribute(div, 'title')]);
+            expect(spy.called).false;
+            this.observers[0].callback([this.attribute(div, 'form')]);
+            this.observers[0].callback([this.attribute(div, 'capture')]);
+            expect(spy.calledTwice).true;
+        });
+
+        it('fires children with mutation records', function() {
+            const div = this.div();
+            const attribute = sinon.spy();
+            const children = sinon.spy();
+            const record = {type: 'childList', target: div};
+            this.handler(apply(div, {'amara:attribute': attribute, 'amara:children': children}));
+            this.observers[0].callback([record]);
+            expect(attribute.called).false;
+            expect(children.calledOnce).true;
+            expect(children.args[0][0].detail.records).deep.equals([record]);
+        });
+
+        it('can dispatch actions', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:children': (e) => e.dispatch({type: 'changed'}), changed: spy}));
+            this.observers[0].callback([{type: 'childList', target: div}]);
+            expect(spy.calledOnce).true;
+        });
+
+        it('reconnects on re-apply', function() {
+            const div = this.div();
+            this.handler(apply(div, {'amara:attribute': () => {}}));
+            this.handler(apply(div, {'amara:children': () => {}}));
+            expect(this.observers.length).equals(1);
+            expect(this.observers[0].disconnect.calledOnce).true;
+            expect(this.observers[0].observe.secondCall.args[1].childList).true;
+        });
+
+        it('disconnects when handlers removed', function() {
+            const div = this.div();
+            this.handler(apply(div, {'amara:attribute': () => {}}));
+            this.handler(apply(div, {click: () => {}}));
+            expect(this.observers[0].disconnect.calledOnce).true;
+            expect(this.observers[0].observe.calledOnce).true;
+        });
+
+        it('disconnects when target removed', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:attribute': spy}));
+            this.handler({type: 'engine:targets-removed', payload: [div]});
+            expect(this.observers[0].disconnect.calledOnce).true;
+            this.observers[0].callback([this.attribute(div, 'title')]);
+            expect(spy.called).false;
+        });
+
+        it('ignores disabled changes made while dispatching', function() {
+            const button = this.window.document.createElement('button');
+            const spy = sinon.spy();
+            button.setAttribute('disabled', '');
+            this.handler(apply(button, {
+                click: (e) => e.dispatch({type: 'test'}),
+                test: () => {
+                    const disabled = this.attribute(button, 'disabled');
+                    this.observers[0].records.push(disabled, this.attribute(button, 'title'), disabled);
+                },
+                'amara:attribute': spy
+            }));
+            this.fire(button, 'click');
+            return Promise.resolve().then(() => {
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].detail.records.map((record) => record.attributeName)).deep.equals(['title']);
+            });
+        });
+
+        it('keeps disabled changes made by handlers', function() {
+            const button = this.window.document.createElement('button');
+            const spy = sinon.spy();
+            this.handler(apply(button, {
+                click: (e) => e.dispatch({type: 'test'}),
+                test: () => {
+                    button.setAttribute('disabled', '');
+                    this.observers[0].records.push(this.attribute(button, 'disabled'));
+                },
+                'amara:attribute': spy
+            }));
+            this.fire(button, 'click');
+            return Promise.resolve().then(() => {
+                expect(button.hasAttribute('disabled')).true;
+                expect(spy.calledOnce).true;
+                expect(spy.args[0][0].detail.records.map((record) => record.attributeName)).deep.equals(['disabled']);
+            });
+        });
+
+        it('delivers pending records when re-applied', function() {
+            const div = this.div();
+            const spy = sinon.spy();
+            this.handler(apply(div, {'amara:attribute': spy}));
+            this.observers[0].records.push(this.attribute(div, 'title'));
+            this.handler(apply(div, {'amara:attribute': spy}));
+            expect(spy.called).false;
+            return Promise.resolve().then(() => expect(spy.calledOnce).true);
+        });
+
+    });
+
 });
@@ -0,0 +1,203 @@
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const JSDOM = require('jsdom').JSDOM;
+
+const createTestHarness = require('../dist/amara-plugin-events-test-utils');
+
+describe('test utils', function() {
+
+    beforeEach(function createHarness() {
+        this.window = global.window = (new JSDOM('')).window;
+        this.doc = this.window.document;
+        this.target = this.doc.createElement('div');
+        this.doc.body.appendChild(this.target);
+        this.harness = createTestHarness();
+    });
+
+    it('applies event maps to targets', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {click: spy});
+        this.harness.simulate(this.target, 'click');
+        expect(spy.calledOnce).true;
+        expect(this.harness.inspect(this.target)[0].key).equals('click');
+    });
+
+    it('dispatches actions through the root', function() {
+        this.harness.apply(this.target, {
+            click: (e) => e.dispatch({type: 'saved', payload: 123})
+        });
+        this.harness.simulate(this.target, 'click');
+        expect(this.harness.assertDispatched('saved').payload).equals(123);
+    });
+
+    it('returns the simulated event', function() {
+        this.harness.apply(this.target, {click: (e) => e.preventDefault()});
+        const e = this.harness.simulate(this.target, 'click');
+        expect(e.defaultPrevented).true;
+    });
+
+    it('simulates modifier keys', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'keydown.ctrl+enter': spy});
+        const e = this.harness.simulate(this.target, 'keydown.ctrl+enter');
+        expect(spy.calledOnce).true;
+        expect(e.ctrlKey).true;
+        expect(e.shiftKey).false;
+    });
+
+    it('simulates physical keys', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'keydown.code-keyz': spy});
+        this.harness.simulate(this.target, 'keydown.code-keyz');
+        expect(spy.calledOnce).true;
+    });
+
+    it('simulates key sequences', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'keydown.seq(g,i)': spy});
+        this.harness.simulate(this.target, 'keydown.seq(g,i)');
+        expect(spy.calledOnce).true;
+        expect(spy.args[0][0].key).equals('i');
+    });
+
+    it('simulates mouse buttons', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'mousedown.right': spy});
+        this.harness.simulate(this.target, 'mousedown.left');
+        expect(spy.called).false;
+        this.harness.simulate(this.target, 'mousedown.right');
+        expect(spy.calledOnce).true;
+    });
+
+    it('simulates pointer types', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'pointerdown.touch': spy});
+        this.harness.simulate(this.target, 'pointerdown.touch');
+        expect(spy.calledOnce).true;
+        expect(spy.args[0][0].pointerType).equals('touch');
+    });
+
+    it('simulates gestures', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'swipe.left': spy, 'tap.pen': spy});
+        this.harness.simulate(this.target, 'swipe.left');
+        this.harness.simulate(this.target, 'tap.pen');
+        expect(spy.calledTwice).true;
+        expect(spy.args[0][0].detail.direction).equals('left');
+        expect(spy.args[1][0].detail.pointerType).equals('pen');
+    });
+
+    it('throws for values no event can match', function() {
+        expect(() => this.harness.simulate(this.target, 'wheel.sideways'))
+            .throws('Cannot create a "wheel" event matching "sideways" in "wheel.sideways".');
+    });
+
+    it('leaves values of custom filters to the init properties', function() {
+        const spy = sinon.spy();
+        const harness = createTestHarness({
+            filters: {drop: (e, value) => e.detail.kind === value}
+        });
+        harness.apply(this.target, {'drop.file': spy});
+        harness.simulate(this.target, 'drop.file', {detail: {kind: 'text'}});
+        expect(spy.called).false;
+        harness.simulate(this.target, 'drop.file', {detail: {kind: 'file'}});
+        expect(spy.calledOnce).true;
+    });
+
+    it('uses the target window when none is global', function() {
+        const spy = sinon.spy();
+        const win = this.window;
+        delete global.window;
+        try {
+            const harness = createTestHarness();
+            harness.apply(this.target, {'keydown.mod+s': spy});
+            const e = harness.simulate(this.target, 'keydown.mod+s');
+            expect(spy.calledOnce).true;
+            expect(e.ctrlKey || e.metaKey).true;
+        } finally {
+            global.window = win;
+        }
+    });
+
+    it('simulates on delegate targets', function() {
+        const spy = sinon.spy();
+        const button = this.doc.createElement('button');
+        this.target.appendChild(button);
+        this.harness.apply(this.target, {'click button': spy});
+        this.harness.simulate(this.target, 'click button');
+        expect(spy.calledOnce).true;
+        expect(spy.args[0][0].target).equals(button);
+    });
+
+    it('throws if no delegate target matches', function() {
+        this.harness.apply(this.target, {'click button': sinon.spy()});
+        expect(() => this.harness.simulate(this.target, 'click button'))
+            .throws(/no element in the target matches "button"/);
+    });
+
+    it('simulates window events', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'window:resize': spy});
+        this.harness.simulate(this.target, 'window:resize');
+        expect(spy.calledOnce).true;
+    });
+
+    it('simulates outside events', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'click.outside': spy});
+        this.harness.simulate(this.target, 'click.outside');
+        expect(spy.calledOnce).true;
+    });
+
+    it('merges init properties', function() {
+        const spy = sinon.spy();
+        this.harness.apply(this.target, {'custom': spy});
+        this.harness.simulate(this.target, 'custom', {detail: 'value'});
+        expect(spy.args[0][0].detail).equals('value');
+    });
+
+    it('throws for lifecycle events', function() {
+        expect(() => this.harness.simulate(this.target, 'amara:add'))
+            .throws(/use apply\(\) and remove\(\)/);
+    });
+
+    it('removes targets', function() {
+        this.harness.apply(this.target, {
+            'amara:remove': (e) => e.dispatch({type: 'removed'})
+        });
+        this.harness.remove(this.target);
+        this.harness.assertDispatched('removed');
+        expect(this.harness.inspect(this.target)).empty;
+    });
+
+    it('asserts actions were not dispatched', function() {
+        this.harness.apply(this.target, {
+            click: (e) => e.dispatch({type: 'clicked'})
+        });
+        this.harness.assertNotDispatched('clicked');
+        expect(() => this.harness.assertDispatched('clicked'))
+            .throws('Expected action "clicked" to be dispatched, but got none.');
+        this.harness.simulate(this.target, 'click');
+        expect(() => this.harness.assertNotDispatched('clicked'))
+            .throws('Expected action "clicked" not to be dispatched, but got "clicked".');
+    });
+
+    it('resets recorded actions', function() {
+        this.harness.dispatch({type: 'test'});
+        expect(this.harness.dispatched('test')).length(1);
+        this.harness.reset();
+        expect(this.harness.actions).empty;
+    });
+
+    it('passes options to the plugin', function() {
+        const spy = sinon.spy();
+        const harness = createTestHarness({aliases: {esc: 'Escape', back: 3}});
+        harness.apply(this.target, {'keydown.esc': spy, 'mouseup.back': spy});
+        harness.simulate(this.target, 'keydown.esc');
+        harness.simulate(this.target, 'mouseup.back');
+        expect(spy.calledTwice).true;
+        expect(spy.args[0][0].key).equals('escape');
+        expect(spy.args[1][0].button).equals(3);
+    });
+
+});